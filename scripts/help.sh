@@ -5,5 +5,7 @@ echo "usage: npm run <command>
   debug   Auto-build on file change with source-map support
   doc     Generate the documentation of the project in ./doc
   help    Display usage
+  server  Start the signaling server (port set by \$PORT, default 8080)
   test    Run the tests on the source files
+  test:server  Run the tests of the signaling server
   watch   Run tests on every file change\n"
@@ -0,0 +1,221 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict'
+
+/**
+ * Reference implementation of the signaling server used by the `websocket`
+ * transport. Each client receives an id and a random view of the peers
+ * watching the same media (its room) in a `first-view` message. Messages are
+ * then relayed to their recipient, or to every member of the room when `to`
+ * is -1. Peers leaving the room are announced with a `peer-left` message.
+ * The `from` property is kept since peers relay connection messages (offers,
+ * answers, ICE candidates) on behalf of other peers. It is set to the id of
+ * the sender only when it is missing.
+ *
+ * Clients choose their room with the `room` query parameter of the URL:
+ * `ws://host:port/?room=<media url>`.
+ *
+ * @module tracker
+ */
+
+var url = require('url')
+var WebSocketServer = require('ws').Server
+
+/**
+ * @class Tracker
+ * @param {Object} [options]
+ * @param {number} [options.port=8080] - Port the server listens to
+ * @param {http.Server} [options.server] - Existing HTTP server to attach to
+ * @param {number} [options.viewSize=10] - Maximum size of the first views
+ *
+ * @property {Map.<Map.<WebSocket>>} rooms - Sockets of the peers indexed by
+ *           room and by id
+ * @property {number} port - Port the server listens to (undefined when
+ *           attached to an existing HTTP server)
+ */
+function Tracker(options) {
+  options = options || {}
+  this.viewSize = options.viewSize || Tracker.viewSize
+  this.rooms = new Map()
+
+  if(typeof options.server !== 'undefined') {
+    this.server = new WebSocketServer({ server: options.server })
+  } else {
+    this.port = options.port || Tracker.port
+    this.server = new WebSocketServer({ port: this.port })
+  }
+  this.server.on('connection', onconnection.bind(this))
+}
+
+/**
+ * Default port of the server
+ *
+ * @name Tracker.port
+ * @type {number}
+ */
+Tracker.port = 8080
+
+/**
+ * Default maximum size of the first views
+ *
+ * @name Tracker.viewSize
+ * @type {number}
+ */
+Tracker.viewSize = 10
+
+/**
+ * Generates a new id for a peer
+ *
+ * @return {string}
+ */
+var generateId = function() {
+  return String(Date.now()) + String(Math.random()).slice(1, 6)
+}
+
+/**
+ * Returns at most `size` ids picked at random
+ *
+ * @param {number} size
+ * @param {Array.<string>} ids
+ * @return {Array.<string>}
+ */
+var randomSubset = function(size, ids) {
+  var i, j, temp
+  var result = ids.slice()
+  for(i = result.length - 1; i > 0; i--) {
+    j = Math.floor(Math.random() * (i + 1))
+    temp = result[i]
+    result[i] = result[j]
+    result[j] = temp
+  }
+  return result.slice(0, size)
+}
+
+/**
+ * Serializes and sends a message if the socket is still open
+ *
+ * @param {WebSocket} socket
+ * @param {Message} message
+ */
+var send = function(socket, message) {
+  if(socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message))
+  }
+}
+
+/**
+ * Sends the message to every member of the room except its sender
+ *
+ * @param {Map.<WebSocket>} room
+ * @param {Message} message
+ */
+var broadcast = function(room, message) {
+  room.forEach(function(socket, id) {
+    if(id !== message.from) {
+      send(socket, message)
+    }
+  })
+}
+
+/**
+ * Registers a new peer: gives it an id and a first view, then relays its
+ * messages until it leaves
+ *
+ * @param {WebSocket} socket
+ * @param {http.IncomingMessage} [request] - Upgrade request (recent versions
+ *        of `ws` do not set `socket.upgradeReq` anymore)
+ */
+var onconnection = function(socket, request) {
+  var query = url.parse((request || socket.upgradeReq).url, true).query
+  var roomName = query.room || ''
+  var id = generateId()
+
+  if(!this.rooms.has(roomName)) {
+    this.rooms.set(roomName, new Map())
+  }
+  var room = this.rooms.get(roomName)
+
+  var view = randomSubset(this.viewSize, Array.from(room.keys()))
+    .map(function(remote) {
+      return { id: remote, age: 0 }
+    })
+  room.set(id, socket)
+
+  send(socket, {
+    type: 'first-view',
+    from: 'signal',
+    to: id,
+    data: { id: id, view: view }
+  })
+
+  socket.on('message', function(data) {
+    var message
+    try {
+      message = JSON.parse(data)
+    } catch(e) {
+      return // Not a message
+    }
+
+    if(message.type === 'signal:ping') {
+      send(socket, { type: 'signal:pong', from: 'signal', to: id })
+      return
+    }
+
+    // Messages relayed for other peers (offers, answers...) keep their origin
+    if(typeof message.from === 'undefined') {
+      message.from = id
+    }
+    if(message.to === -1 || message.to === '-1') {
+      broadcast(room, message)
+    } else if(room.has(message.to)) {
+      send(room.get(message.to), message)
+    }
+  })
+
+  socket.on('close', function() {
+    room.delete(id)
+    if(room.size === 0) {
+      this.rooms.delete(roomName)
+    } else {
+      broadcast(room, {
+        type: 'peer-left',
+        from: 'signal',
+        to: -1,
+        data: { id: id }
+      })
+    }
+  }.bind(this))
+}
+
+/**
+ * Stops the server
+ *
+ * @function Tracker#close
+ * @param {Function} [callback] - Called once the server is closed
+ */
+Tracker.prototype.close = function(callback) {
+  this.server.close(callback)
+}
+
+module.exports = Tracker
+
+if(require.main === module) {
+  var tracker = new Tracker({ port: Number(process.env.PORT) || Tracker.port })
+  console.log('Paradone tracker listening on port ' + tracker.port)
+}
@@ -20,6 +20,9 @@
  */
 'use strict'
 
+import { hashString } from './util.js'
+import { merge } from 'ramda'
+
 /**
  * Wrapper setting handlers of a RTCDatachannel from a given PeerConnection
  * @module datachannel
@@ -31,30 +34,314 @@
  *       information to other peers and relay received data to the
  *       PeerConnection instance it is attached to
  * @augments external:RTCDataChannel
+ * @property {Object.<Array>} sendQueue - Encoded messages waiting for the
+ *           buffer of the channel to be low enough, by priority (`control`
+ *           and `bulk`)
  * @see http://w3c.github.io/webrtc-pc/#idl-def-RTCDataChannel
  * @see https://developer.mozilla.org/en-US/docs/Web/API/RTCDataChannel
  */
 
 /**
- * Options used for the creation of a DataChannel
+ * Channels opened for each connection and the options used for their
+ * creation. The `control` channel carries the messages of the protocol
+ * (connection, gossip...) while the `bulk` channel carries the media parts so
+ * that a large transfer does not delay the control messages. Chunks carry
+ * their index so the `bulk` channel can be unordered.
+ *
+ * @const {Object.<Object>} channels
+ * @inner
+ * @memberof module:datachannel
+ */
+export const channels = {
+  control: { ordered: true },
+  bulk: { ordered: true }
+}
+
+/**
+ * Thresholds (in bytes) of the data buffered by a DataChannel. Messages are
+ * kept in the send queue of the channel while the buffered amount is above
+ * `high` and the queue is flushed again once it drops below `low`.
+ *
+ * @const {Object} thresholds
+ * @inner
+ * @memberof module:datachannel
+ * @property {number} high
+ * @property {number} low
+ */
+export const thresholds = {
+  high: 1024 * 1024,
+  low: 256 * 1024
+}
+
+/**
+ * Types of the messages carrying bulk data. They are sent on the `bulk`
+ * channel and only when no control message is waiting.
  *
- * @const {Object} options
+ * @const {Array.<string>} bulkTypes
  * @inner
  * @memberof module:datachannel
- * @property {Array.<Object>} optional
  */
-export const options = {
-  optional: [
-    { DtlsSrtpKeyAgreement: true },
-    { RtpDataChannels: true }
-  ]
+export const bulkTypes = ['media:part']
+
+/**
+ * Returns the name of the channel a message should be sent on
+ *
+ * @function module:datachannel~channelOf
+ * @param {Message} message
+ * @return {string} `control` or `bulk`
+ */
+export function channelOf(message) {
+  return bulkTypes.indexOf(message.type) === -1 ? 'control' : 'bulk'
 }
 
 /**
- * When a peer disconnect the channel is closed. We update the connection's
- * status of the Peer
+ * Version of the binary framing. Frames starting with another value are
+ * rejected.
+ *
+ * @const {number} FRAME_VERSION
+ * @inner
+ * @memberof module:datachannel
+ */
+const FRAME_VERSION = 3
+
+/**
+ * Size in bytes of the fixed part of the frame header (before the strings)
+ *
+ * @const {number} FIXED_HEADER
+ * @inner
+ * @memberof module:datachannel
+ */
+const FIXED_HEADER = 15
+
+/**
+ * Message types which can be sent as binary frames, indexed by their code in
+ * the frame header
+ *
+ * @const {Array.<string>} frameTypes
+ * @inner
+ * @memberof module:datachannel
+ */
+const frameTypes = [undefined, 'media:part']
+
+/**
+ * URLs of the media indexed by their id in the frame headers
+ *
+ * @type {Map.<string>}
+ */
+var urls = new Map()
+
+/**
+ * Registers the URL of a media so that binary frames referencing it can be
+ * decoded
+ *
+ * @function module:datachannel~registerURL
+ * @param {string} url - URL of the media
+ * @return {number} Id of the URL used in the frame headers
+ */
+export function registerURL(url) {
+  var id = hashString(url)
+  urls.set(id, url)
+  return id
+}
+
+/**
+ * @param {any} data
+ * @return {boolean} Whether the data is an ArrayBuffer or a view of one
+ */
+var isBinary = function(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+}
+
+/**
+ * @param {(ArrayBuffer|ArrayBufferView)} data
+ * @return {Uint8Array} The bytes of the data (without copy)
+ */
+var toBytes = function(data) {
+  return data instanceof ArrayBuffer ?
+    new Uint8Array(data) :
+    new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+}
+
+/**
+ * Serializes a message before it is sent through a DataChannel. Media parts
+ * sent to the remote peer of the channel are framed with a compact binary
+ * header (big-endian) followed by the raw payload:<ul>
+ * <li>1 byte: version of the framing
+ * <li>1 byte: type of the message
+ * <li>4 bytes: id of the media URL
+ * <li>4 bytes: part number
+ * <li>2 bytes: index of the chunk
+ * <li>2 bytes: number of chunks of the part
+ * <li>1 byte: ttl of the message
+ * <li>1 + n bytes: length and UTF-8 bytes of `from`
+ * <li>1 + n bytes: length and UTF-8 bytes of `to`
+ * <li>1 + n bytes: length and UTF-8 bytes of `inReplyTo` (empty if the part
+ *     does not answer a request)
+ * <li>1 + n bytes: length and UTF-8 bytes of `messageId` (empty if the
+ *     message has no id yet)
+ * <li>1 byte: number of ids in `forwardBy`, each one followed by its length
+ *     and UTF-8 bytes</ul>
+ *
+ * Every other message (or a part which has to be forwarded) is encoded in
+ * JSON, binary data being converted to an array of bytes.
+ *
+ * @function module:datachannel~encode
+ * @param {Message} message - Message to be sent
+ * @param {string} recipient - Id of the peer at the other end of the channel
+ * @return {(string|ArrayBuffer)}
+ */
+export function encode(message, recipient) {
+  var type = frameTypes.indexOf(message.type)
+
+  if(!isBinary(message.data)) {
+    return JSON.stringify(message)
+  } else if(type === -1 || message.to !== recipient) {
+    return JSON.stringify(merge(message, {
+      data: Array.from(toBytes(message.data))
+    }))
+  }
+
+  var encoder = new TextEncoder()
+  var strings = [
+    message.from,
+    message.to,
+    message.inReplyTo,
+    message.messageId
+  ].map(string => encoder.encode(string === undefined ? '' : String(string)))
+  var forwardBy = (message.forwardBy || [])
+    .map(id => encoder.encode(String(id)))
+  var payload = toBytes(message.data)
+  var [ part, chunk = 0, chunks = 1 ] = String(message.number).split(':')
+  var headerSize = strings.concat(forwardBy)
+    .reduce((size, bytes) => size + 1 + bytes.length, FIXED_HEADER + 1)
+
+  var frame = new Uint8Array(headerSize + payload.byteLength)
+  var view = new DataView(frame.buffer)
+  view.setUint8(0, FRAME_VERSION)
+  view.setUint8(1, type)
+  view.setUint32(2, hashString(message.url))
+  view.setUint32(6, Number(part))
+  view.setUint16(10, Number(chunk))
+  view.setUint16(12, Number(chunks))
+  view.setUint8(14, Math.max(0, Math.min(255, message.ttl || 0)))
+
+  var offset = FIXED_HEADER
+  var write = function(bytes) {
+    view.setUint8(offset, bytes.length)
+    frame.set(bytes, offset + 1)
+    offset += 1 + bytes.length
+  }
+  strings.forEach(write)
+  view.setUint8(offset, forwardBy.length)
+  offset += 1
+  forwardBy.forEach(write)
+  frame.set(payload, headerSize)
+
+  return frame.buffer
+}
+
+/**
+ * Rebuilds a message from a binary frame
+ *
+ * @function module:datachannel~decode
+ * @param {ArrayBuffer} buffer - Frame received from the DataChannel
+ * @return {(Message|undefined)} The message or undefined if the frame is
+ *         malformed or references an unknown media
+ * @see module:datachannel~encode
+ */
+export function decode(buffer) {
+  var view = new DataView(buffer)
+  if(buffer.byteLength < FIXED_HEADER + 5 ||
+     view.getUint8(0) !== FRAME_VERSION) {
+    console.error('Malformed frame received')
+    return undefined
+  }
+
+  var urlId = view.getUint32(2)
+  if(!urls.has(urlId)) {
+    console.error('Frame received for an unknown media')
+    return undefined
+  }
+
+  var decoder = new TextDecoder()
+  var offset = FIXED_HEADER
+  var read = function() {
+    var length = view.getUint8(offset)
+    var string = decoder.decode(new Uint8Array(buffer, offset + 1, length))
+    offset += 1 + length
+    return string
+  }
+
+  var [ from, to, inReplyTo, messageId ] = [read(), read(), read(), read()]
+  var forwardBy = []
+  var count = view.getUint8(offset)
+  offset += 1
+  for(let i = 0; i < count; ++i) {
+    forwardBy.push(read())
+  }
+
+  var message = {
+    type: frameTypes[view.getUint8(1)],
+    from: from,
+    to: to,
+    url: urls.get(urlId),
+    number: view.getUint32(6) + ':' + view.getUint16(10) + ':' +
+      view.getUint16(12),
+    ttl: view.getUint8(14),
+    forwardBy: forwardBy,
+    data: buffer.slice(offset)
+  }
+
+  if(inReplyTo.length > 0) {
+    message.inReplyTo = inReplyTo
+  }
+  if(messageId.length > 0) {
+    message.messageId = messageId
+  }
+  return message
+}
+
+/**
+ * Sends as many queued messages as the buffer of the channel allows. Control
+ * messages are sent before bulk ones.
+ *
+ * @param {DataChannel} channel
+ */
+var flush = function(channel) {
+  var queue = channel.sendQueue
+  while(channel.readyState === 'open' &&
+        channel.bufferedAmount < thresholds.high &&
+        queue.control.length + queue.bulk.length > 0) {
+    channel.send(queue.control.length > 0 ?
+                 queue.control.shift() :
+                 queue.bulk.shift())
+  }
+}
+
+/**
+ * Queues a message and sends it as soon as the buffer of the channel is low
+ * enough. Sending everything at once would overflow the SCTP buffer on slow
+ * links and close the channel.
+ *
+ * @function module:datachannel~send
+ * @param {DataChannel} channel - Channel configured with `setHandlers`
+ * @param {Message} message - Message to send
+ * @param {string} recipient - Id of the peer at the other end of the channel
+ */
+export function send(channel, message, recipient) {
+  channel.sendQueue[channelOf(message)].push(encode(message, recipient))
+  flush(channel)
+}
+
+/**
+ * When a peer disconnect the channels are closed. We update the connection's
+ * status of the Peer (only once as every channel of the connection will be
+ * closed)
  */
 var onclose = function(peer, peerConnection, remotePeer, event) {
+  if(peerConnection.status === 'close') {
+    return
+  }
   peerConnection.status = 'close'
   peer.dispatchMessage({
     type: 'disconnected',
@@ -72,30 +359,52 @@ var onerror = function(error) {
 /**
  * When a message is received through the channel we send it to the Peer
  * onmessage handler. This allows us to handle data recevied through both the
- * signaling system and the mesh network with the same functions
+ * signaling system and the mesh network with the same functions. Copies of a
+ * message already seen (flooded through several paths) are ignored.
  *
  * @param {Peer} peer - Messages will be forwarded to this Peer
+ * @param {PeerConnection} peerConnection - Connection the message comes from.
+ *        Its activity and the amount of received data are updated.
  * @param {Event} event - Contains the message sent by the remote peer
  */
-var onmessage = function(peer, event) {
-  var message = JSON.parse(event.data)
-  if(-1 === message.to || peer.id === message.to) {
-    peer.dispatchMessage(message)
-  } else if(message.ttl > 0) {
+var onmessage = function(peer, peerConnection, event) {
+  var isString = typeof event.data === 'string'
+  var message = isString ? JSON.parse(event.data) : decode(event.data)
+
+  peerConnection.lastActivity = Date.now()
+  peerConnection.bytesReceived += isString ?
+    event.data.length :
+    event.data.byteLength
+
+  if(typeof message === 'undefined' || peer.isDuplicate(message)) {
+    return
+  } else if(-1 === message.to || peer.id === message.to) {
+    peer.receive(message)
+  } else {
     peer.forward(message)
   }
 }
 
 /**
- * Relay to the Peer instance the initialization of the data channel and save
- * it in the PeerConnection
+ * Relay to the Peer instance the initialization of the data channels once
+ * every channel of the PeerConnection is open. The single channel of older
+ * versions (with an unknown label) carries every message: the connection is
+ * open as soon as it is.
  *
  * @param {Event} event
  */
 var onopen = function(peer, peerConnection, remotePeer, event) {
   var channel = event.target
-  if('open' === channel.readyState.toLowerCase()) {
-    peerConnection.channel = channel
+  flush(channel)
+
+  var legacy = !channels.hasOwnProperty(channel.label)
+  var ready = legacy || Object.keys(channels).every(name => {
+    var opened = peerConnection.channels[name]
+    return typeof opened !== 'undefined' &&
+      'open' === opened.readyState.toLowerCase()
+  })
+
+  if(ready && peerConnection.status === 'connecting') {
     peerConnection.status = 'open'
     peer.dispatchMessage({
       type: 'connected',
@@ -118,9 +427,13 @@ var onopen = function(peer, peerConnection, remotePeer, event) {
  * @return {DataChannel} Some {@link DataChannel}
  */
 export function setHandlers(channel, peer, peerConnection, remotePeer) {
+  channel.binaryType = 'arraybuffer'
+  channel.sendQueue = { control: [], bulk: [] }
+  channel.bufferedAmountLowThreshold = thresholds.low
+  channel.onbufferedamountlow = () => flush(channel)
   channel.onclose = onclose.bind(null, peer, peerConnection, remotePeer)
   channel.onerror = onerror
-  channel.onmessage = onmessage.bind(null, peer)
+  channel.onmessage = onmessage.bind(null, peer, peerConnection)
   channel.onopen = onopen.bind(null, peer, peerConnection, remotePeer)
 
   return channel
@@ -136,11 +449,15 @@ export function setHandlers(channel, peer, peerConnection, remotePeer) {
  * @param {PeerConnection} peerConnection - PeerConnection where the
  *        DataChannel will be stored
  * @param {string} id - Id of the remote peer
+ * @param {string} name - Name of the channel in {@link
+ *        module:datachannel~channels}. It is used as label so the remote peer
+ *        can tell the channels apart
+ * @param {Object} [options] - Options of the channel, defaults to the ones
+ *        of {@link module:datachannel~channels}
  * @return {DataChannel}
  */
-export function create(peer, peerConnection, remotePeer) {
-  var channel = peerConnection.createDataChannel(
-    peer.id + '-' + remotePeer,
-    this.options)
+export function create(peer, peerConnection, remotePeer, name,
+                       options = channels[name]) {
+  var channel = peerConnection.createDataChannel(name, options)
   return setHandlers(channel, peer, peerConnection, remotePeer)
 }
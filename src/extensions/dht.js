@@ -0,0 +1,462 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import { register } from '../schema.js'
+import { contains, hashString, shuffleArray } from '../util.js'
+import { merge } from 'ramda'
+export default DHT
+
+// Shapes of the messages used by the extension
+register('dht:announce', { data: 'object', ttl: 'number', forwardBy: 'array' })
+register('dht:find-providers', {
+  data: 'object',
+  ttl: 'number',
+  forwardBy: 'array'
+})
+register('dht:providers', { data: 'array' })
+
+/**
+ * @typedef Provider
+ * @desc Peer announcing parts of a media
+ * @type {Object}
+ * @property {string} id - Id of the peer
+ * @property {Array.<number>} parts - Parts of the media available on the peer
+ * @property {number} timestamp - Time of the last announce
+ */
+
+/**
+ * Key of a peer id (or of an URL) in the 32 bits space of the DHT
+ *
+ * @param {string} id
+ * @return {number}
+ */
+var keyOf = function(id) {
+  return hashString(String(id))
+}
+
+/**
+ * @param {string} id - Id of a remote peer
+ * @return {boolean} Whether a DataChannel with the remote peer is open
+ */
+var isConnected = function(id) {
+  return this.connections.has(id) &&
+    this.connections.get(id).status === 'open'
+}
+
+/**
+ * Adds a contact at the end of its k-bucket (the most recently seen position).
+ * When the bucket is full, the oldest contact without connection is replaced.
+ * Connected contacts are never evicted.
+ *
+ * @param {string} id - Id of the contact
+ */
+var addContact = function(id) {
+  if(typeof id === 'undefined' || id === this.id || id === 'signal') {
+    return
+  }
+
+  var index = DHT.bucketIndex(keyOf(this.id), keyOf(id))
+  if(index < 0) {
+    return
+  }
+
+  var bucket = this.dht.buckets[index]
+  var position = bucket.indexOf(id)
+  if(position !== -1) {
+    bucket.splice(position, 1)
+  } else if(bucket.length >= this.dht.k) {
+    var stale = bucket.filter(contact => !isConnected.call(this, contact))
+    if(stale.length === 0) {
+      return
+    }
+    bucket.splice(bucket.indexOf(stale[0]), 1)
+  }
+  bucket.push(id)
+}
+
+/**
+ * Removes a contact from its k-bucket
+ *
+ * @param {string} id - Id of the contact
+ */
+var removeContact = function(id) {
+  var index = DHT.bucketIndex(keyOf(this.id), keyOf(id))
+  if(index < 0) {
+    return
+  }
+
+  var bucket = this.dht.buckets[index]
+  if(contains(id, bucket)) {
+    bucket.splice(bucket.indexOf(id), 1)
+  }
+}
+
+/**
+ * Requests a connection to a contact of each bucket having no neighbour yet.
+ * Keeping one neighbour per bucket is what allows a message to reach any key
+ * in O(log n) hops. A bucket gets a new request only once the previous one
+ * had the time to open a connection.
+ */
+var connectBuckets = function() {
+  var now = Date.now()
+  var requested = this.dht.requested
+
+  this.dht.buckets.forEach((bucket, index) => {
+    var linked = bucket.filter(contact => this.connections.has(contact))
+    if(bucket.length > 0 && linked.length === 0 &&
+       now - requested[index] >= this.connectionTimeout) {
+      requested[index] = now
+      this.requestPeer(shuffleArray(bucket)[0])
+    }
+  })
+}
+
+/**
+ * Selects the neighbour the closest to a key. Only neighbours strictly closer
+ * than the peer itself are considered so a routed message always gets closer
+ * to its destination and cannot loop.
+ *
+ * @param {number} key
+ * @return {(string|undefined)} Id of the neighbour or undefined if the peer is
+ *         the closest
+ */
+var closestNeighbour = function(key) {
+  var closest
+  var closestDistance = DHT.distance(keyOf(this.id), key)
+
+  this.connections.forEach((connection, id) => {
+    if(id === 'signal' || connection.status !== 'open') {
+      return
+    }
+    var d = DHT.distance(keyOf(id), key)
+    if(d < closestDistance) {
+      closest = id
+      closestDistance = d
+    }
+  })
+  return closest
+}
+
+/**
+ * Routes messages to non-neighbours through the neighbour the closest to the
+ * recipient
+ *
+ * @function DHT#nextHop
+ * @param {Message} message
+ * @return {(string|undefined)}
+ */
+var nextHop = function(message) {
+  return closestNeighbour.call(this, keyOf(message.to))
+}
+
+/**
+ * Gives a message addressed to a key to the next neighbour. The metric
+ * guarantees the progress of the message so the ttl is not used. The message
+ * is relayed with {@link Peer#forward}: the middlewares only see the messages
+ * of the peer itself.
+ *
+ * @param {Message} message
+ * @param {string} hop - Id of the neighbour
+ */
+var forwardTo = function(message, hop) {
+  this.forward(merge(message, {
+    to: hop,
+    forwardBy: [...message.forwardBy]
+  }))
+}
+
+/**
+ * @param {string} url - URL of the media
+ * @param {number} [part] - Only returns the providers of this part
+ * @return {Array.<Provider>} Providers known by the peer
+ */
+var providersOf = function(url, part) {
+  var providers = this.dht.providers.get(url)
+  if(typeof providers === 'undefined') {
+    return []
+  }
+
+  var now = Date.now()
+  var result = []
+  providers.forEach((provider, id) => {
+    if(now - provider.timestamp > this.dht.providerTTL) {
+      providers.delete(id)
+    } else if(typeof part === 'undefined' || contains(part, provider.parts)) {
+      result.push(provider)
+    }
+  })
+  return result
+}
+
+/**
+ * Stores an announce (or forwards it to a peer closer to the key of the URL)
+ *
+ * @param {Message.<dht:announce>} message
+ * @param {string} message.data.url - URL of the media
+ * @param {number} message.data.key - Key of the URL
+ * @param {Array.<number>} message.data.parts - Available parts
+ */
+var onannounce = function(message) {
+  var data = message.data
+  var hop = closestNeighbour.call(this, data.key)
+  if(typeof hop !== 'undefined') {
+    return forwardTo.call(this, message, hop)
+  }
+
+  if(!this.dht.providers.has(data.url)) {
+    this.dht.providers.set(data.url, new Map())
+  }
+  this.dht.providers.get(data.url).set(message.from, {
+    id: message.from,
+    parts: data.parts,
+    timestamp: Date.now()
+  })
+}
+
+/**
+ * Answers with the providers of a part (or forwards the request to a peer
+ * closer to the key of the URL)
+ *
+ * @param {Message.<dht:find-providers>} message
+ * @param {string} message.data.url - URL of the media
+ * @param {number} message.data.key - Key of the URL
+ * @param {number} [message.data.part] - Number of the part
+ */
+var onfindproviders = function(message) {
+  var data = message.data
+  var hop = closestNeighbour.call(this, data.key)
+  if(typeof hop !== 'undefined') {
+    return forwardTo.call(this, message, hop)
+  }
+
+  this.send({
+    type: 'dht:providers',
+    from: this.id,
+    to: message.from,
+    data: providersOf.call(this, data.url, data.part),
+    ttl: this.ttl,
+    forwardBy: [],
+    inReplyTo: message.requestId
+  })
+}
+
+/**
+ * Sends the announce of the parts of a media to the peer responsible for its
+ * URL
+ *
+ * @param {string} url - URL of the media
+ * @param {Array.<number>} parts - Available parts
+ */
+var sendAnnounce = function(url, parts) {
+  var key = keyOf(url)
+  var message = {
+    type: 'dht:announce',
+    from: this.id,
+    to: this.id,
+    data: { key, url, parts },
+    ttl: this.ttl,
+    forwardBy: []
+  }
+  var hop = closestNeighbour.call(this, key)
+
+  if(typeof hop === 'undefined') {
+    // The peer is responsible for the key
+    onannounce.call(this, message)
+  } else {
+    this.send(merge(message, { to: hop }))
+  }
+}
+
+/**
+ * Announces the parts of a media available on the peer. Announces are
+ * delayed and grouped by URL so a peer downloading a media does not send a
+ * message for every part. They are refreshed before they expire.
+ *
+ * @function DHT#announce
+ * @param {string} url - URL of the media
+ * @param {Array.<number>} parts - Available parts
+ */
+var announce = function(url, parts) {
+  var pending = this.dht.pending
+  var scheduled = pending.has(url)
+  pending.set(url, parts)
+  this.dht.announced.set(url, parts)
+
+  if(!scheduled) {
+    window.setTimeout(() => {
+      if(pending.has(url)) {
+        sendAnnounce.call(this, url, pending.get(url))
+        pending.delete(url)
+      }
+    }, DHT.announceDelay)
+  }
+}
+
+/**
+ * Looks for the peers possessing a part of a media beyond the neighbourhood
+ * of the peer
+ *
+ * @function DHT#findProviders
+ * @param {string} url - URL of the media
+ * @param {number} [part] - Number of the part
+ * @return {Promise.<Array.<Provider>>} Known providers of the part
+ */
+var findProviders = function(url, part) {
+  var key = keyOf(url)
+  var hop = closestNeighbour.call(this, key)
+
+  if(typeof hop === 'undefined') {
+    return Promise.resolve(providersOf.call(this, url, part))
+  }
+
+  return this.request(hop, 'dht:find-providers', { key, url, part })
+    .then(reply => reply.data)
+}
+
+/**
+ * Structured overlay based on Kademlia. Each peer gets a key from its id and
+ * keeps contacts sorted by XOR distance in k-buckets filled with the gossip
+ * views. Messages addressed to peers which are not neighbours are routed
+ * through the neighbour the closest to the recipient (see {@link
+ * Peer#nextHop}).
+ *
+ * The peer the closest to the key of a media URL stores the providers of the
+ * media. Peers announce the parts they possess with {@link DHT#announce} and
+ * look for providers with {@link DHT#findProviders}.
+ *
+ * @mixin DHT
+ * @extends Peer
+ * @param {Object} options
+ * @param {number} [options.k=DHT.k] - Size of the k-buckets
+ * @param {number} [options.providerTTL=DHT.providerTTL] - Validity of the
+ *        announces in milliseconds
+ *
+ * @property {Object} dht
+ * @property {number} dht.k - Size of the k-buckets
+ * @property {number} dht.providerTTL - Validity of the announces
+ * @property {Array.<Array.<string>>} dht.buckets - Contacts by distance
+ * @property {Array.<number>} dht.requested - Time of the last connection
+ *           request made for each bucket
+ * @property {Map.<Map.<Provider>>} dht.providers - Providers stored by the
+ *           peer indexed by URL then by peer id
+ * @property {Map.<Array.<number>>} dht.announced - Parts announced by the peer
+ *           indexed by URL
+ * @property {Map.<Array.<number>>} dht.pending - Parts waiting to be announced
+ * @property {number} dht.refreshInterval - Id of the interval refreshing the
+ *           announces
+ */
+function DHT(options) {
+  var buckets = []
+  var requested = []
+  for(let i = 0; i < 32; ++i) {
+    buckets.push([])
+    requested.push(-Infinity)
+  }
+
+  this.dht = {
+    k: options.hasOwnProperty('k') ? options.k : DHT.k,
+    providerTTL: options.hasOwnProperty('providerTTL') ?
+      options.providerTTL :
+      DHT.providerTTL,
+    buckets: buckets,
+    requested: requested,
+    providers: new Map(),
+    announced: new Map(),
+    pending: new Map()
+  }
+
+  this.nextHop = nextHop
+  this.announce = announce
+  this.findProviders = findProviders
+
+  this.on('dht:announce', onannounce)
+  this.on('dht:find-providers', onfindproviders)
+
+  this.on('gossip:view-update', message => {
+    message.data.forEach(descriptor => addContact.call(this, descriptor.id))
+    connectBuckets.call(this)
+  })
+  this.on('connected', message => addContact.call(this, message.from))
+  this.on('connection:failed',
+          message => removeContact.call(this, message.from))
+
+  this.dht.refreshInterval = window.setInterval(() => {
+    this.dht.announced.forEach(
+      (parts, url) => sendAnnounce.call(this, url, parts))
+  }, this.dht.providerTTL / 2)
+
+  this.on('peer:destroyed', () => {
+    window.clearInterval(this.dht.refreshInterval)
+    this.dht.pending.clear()
+  })
+}
+
+/**
+ * XOR metric used to compare keys
+ *
+ * @function DHT.distance
+ * @param {number} a
+ * @param {number} b
+ * @return {number} Unsigned 32 bits distance between the keys
+ */
+DHT.distance = function(a, b) {
+  return (a ^ b) >>> 0
+}
+
+/**
+ * Index of the k-bucket of a key: the position of the highest bit which
+ * differs from the key of the peer. Bucket `i` holds the contacts at a distance
+ * between 2^i and 2^(i+1).
+ *
+ * @function DHT.bucketIndex
+ * @param {number} own - Key of the peer
+ * @param {number} key - Key of the contact
+ * @return {number} Index between 0 and 31 or -1 if the keys are equal
+ */
+DHT.bucketIndex = function(own, key) {
+  return 31 - Math.clz32(DHT.distance(own, key))
+}
+
+/**
+ * Default maximum number of contacts in a k-bucket
+ *
+ * @name DHT.k
+ * @type {number}
+ */
+DHT.k = 8
+
+/**
+ * Default time in milliseconds during which an announce is valid. Peers
+ * refresh their announces every half of this time.
+ *
+ * @name DHT.providerTTL
+ * @type {number}
+ */
+DHT.providerTTL = 60000
+
+/**
+ * Time in milliseconds during which the announces of a media are grouped
+ *
+ * @name DHT.announceDelay
+ * @type {number}
+ */
+DHT.announceDelay = 1000
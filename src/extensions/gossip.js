@@ -20,6 +20,20 @@
  */
 'use strict'
 
+import { register } from '../schema.js'
+import HyParView from './hyparview.js'
+
+// Shapes of the messages used by the extension
+register('gossip:request-exchange', {
+  data: 'array',
+  ttl: 'number',
+  forwardBy: 'array'
+})
+register('gossip:answer-exchange', { data: 'array' })
+register('gossip:view-update', { data: 'array' })
+register('gossip:descriptor-update', { data: 'object' })
+register('gossip:stats', { data: 'object' })
+
 /**
  * @typedef View
  * @desc A list of NodeDescriptors
@@ -39,33 +53,88 @@
  */
 
 /**
- * Implementation of a gossip protocol for unstructured P2P network
+ * Implementation of a gossip protocol for unstructured P2P network. The view
+ * is computed by a Web Worker, except in `hyparview` mode where it is tied to
+ * the open connections of the peer (see {@link HyParView}).
  *
  * @mixin Gossip
  * @extends Peer
  * @param {Object} options
+ * @param {string} [options.algorithm='rps'] - Gossip algorithm used to build
+ *        the view: `rps` (Random Peer Sampling), `cyclon`, `tman` or
+ *        `hyparview`
+ * @param {string} [options.distance='parts'] - With `tman`, name of the
+ *        distance used to rank the peers (see {@link GossipTMan.distances})
+ * @param {number} [options.statsPeriod=10000] - Interval in milliseconds
+ *        between two `gossip:stats` messages
+ * @param {number} [options.exchangeTimeout] - Time in milliseconds after which
+ *        an exchange without answer is dropped (defaults to the gossip period)
+ * @param {string} [options.penalty='evict'] - `evict` the descriptor of a peer
+ *        which did not answer an exchange (timeout or lost connection) or
+ *        `age` it by `options.penaltyAge`
+ * @param {number} [options.retries=0] - How many other peers can be tried in
+ *        the same period when an exchange is dropped
  * @property {View} view - List of known peers
  * @property {Worker} worker - Web worker used to process messages behind the
  *           scenes
+ * @property {Object} gossip
+ * @property {GossipReport} gossip.stats - Last health metrics emitted by the
+ *           worker (no metrics are collected in `hyparview` mode)
+ * @property {Function} gossip.getStats - Returns `gossip.stats`
+ * @throws {Error} If the algorithm or the penalty is unknown (the worker could
+ *         not report it)
  */
 export default function Gossip(options) {
+  var algorithm = options.algorithm || 'rps'
+  if(Gossip.algorithms.indexOf(algorithm) === -1) {
+    throw new Error('Unknown gossip algorithm ' + algorithm)
+  }
+
+  if(options.hasOwnProperty('penalty') &&
+     Gossip.penalties.indexOf(options.penalty) === -1) {
+    throw new Error('Unknown penalty ' + options.penalty)
+  }
+
+  this.gossip = {
+    stats: undefined,
+    getStats: () => this.gossip.stats
+  }
+
+  if(options.algorithm === 'hyparview') {
+    HyParView.call(this, options)
+    return
+  }
+
   this.worker = new Worker('./gossipWorker.js')
+  // The worker gives the time after which an unsent message is dropped
   this.worker.addEventListener('message', evt => {
-    var message = evt.data
+    var message = evt.data.message
     if(message.to === this.id) {
       this.dispatchMessage(message)
     } else {
-      this.send(message)
+      this.send(message, evt.data.timeout)
     }
   })
 
   // Worker#postMessage doesn't seem to be a valid listener, we need to wrap it
   this.on('first-view', msg => this.worker.postMessage(msg))
   this.on('gossip:request-exchange', msg => this.worker.postMessage(msg))
-  this.on('gossip:answer-request', msg => this.worker.postMessage(msg))
+  this.on('gossip:answer-exchange', msg => this.worker.postMessage(msg))
   this.on('gossip:descriptor-update', msg => this.worker.postMessage(msg))
+  // Pending exchanges with a lost peer are cancelled (events of the
+  // DataChannel can not be cloned, only the origin is kept)
+  var onconnectionlost = msg => this.worker.postMessage({
+    type: msg.type,
+    from: msg.from,
+    to: msg.to
+  })
+  this.on('disconnected', onconnectionlost)
+  this.on('connection:failed', onconnectionlost)
 
   this.on('gossip:view-update', msg => this.view = msg.data)
+  this.on('gossip:stats', msg => this.gossip.stats = msg.data)
+
+  this.on('peer:destroyed', () => this.worker.terminate())
 
   // Initialization of the Web Worker
   this.worker.postMessage({
@@ -75,3 +144,20 @@ export default function Gossip(options) {
     data: options
   })
 }
+
+/**
+ * Names of the algorithms which can be selected with the `algorithm` option.
+ * Every algorithm except `hyparview` runs in the worker.
+ *
+ * @name Gossip.algorithms
+ * @type {Array.<string>}
+ */
+Gossip.algorithms = ['rps', 'cyclon', 'tman', 'hyparview']
+
+/**
+ * Names of the penalties which can be selected with the `penalty` option
+ *
+ * @name Gossip.penalties
+ * @type {Array.<string>}
+ */
+Gossip.penalties = ['evict', 'age']
@@ -34,11 +34,14 @@ export default GossipAlgorithm
  * @property {string} id - id of the peer
  * @property {Object} options - values used to tune the algorithm
  * @property {NodeDescriptor} selfDescriptor - Descriptor of the node
+ * @property {string} selectionMethod - How the remote peer of an exchange is
+ *           selected (see {@link GossipAlgorithm#selectRemotePeer})
  */
 function GossipAlgorithm(id, options) {
   this.id = id
   this.options = options
   this.selfDescriptor = { id: id, age: 0 }
+  this.selectionMethod = 'random'
 }
 
 /**
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import GossipAlgorithm from './gossipAlgo.js'
+import { merge, findIndex, propEq } from 'ramda'
+export default GossipCyclon
+
+/**
+ * Implementation of the `Cyclon` gossiping algorithm. At each step the peer
+ * shuffles a few descriptors with its oldest neighbour. The descriptors sent
+ * are replaced in the view by the ones received, so every node keeps roughly
+ * the same number of incoming links. Since the oldest neighbour is removed
+ * from the view when contacted, departed peers are quickly forgotten.
+ *
+ * @class GossipCyclon
+ * @implements GossipAlgorithm
+ * @param {String} id - Id of the peer
+ * @param {Object} options - Algorithm options
+ * @param {number} [options.C=10] - Maximum size of the view
+ * @param {number} [options.L=5] - Shuffle length: How many descriptors are
+ *        exchanged at each step
+ *
+ * @property {String} id - Id of the peer
+ * @property {Object} options - Algorithm options
+ * @property {string} selectionMethod - Cyclon always shuffles with the
+ *           `oldest` neighbour
+ */
+function GossipCyclon(id, options) {
+  GossipAlgorithm.call(this, id, options)
+  this.options = merge({C: 10, L: 5}, options)
+  this.selectionMethod = 'oldest'
+}
+
+GossipCyclon.prototype = Object.create(GossipAlgorithm.prototype)
+
+/**
+ * Generates the subset of the view sent to the remote peer. For the active
+ * thread the remote peer's descriptor is removed from the view (the change is
+ * made in place) and a fresh descriptor of the node is added to the L - 1
+ * random neighbours sent. The passive thread sends L random neighbours.
+ *
+ * @function GossipCyclon#genBuffer
+ * @param {string} thread - Generation for the active or passive thread
+ * @param {string} distantId - The id that should be excluded from the extract
+ * @param {View} view - The base view from which the subset is generated
+ * @return {View} A subset of the view
+ */
+GossipCyclon.prototype.genBuffer = function(thread, distantId, view) {
+  const L = this.options.L
+  var index = findIndex(propEq('id', distantId), view)
+  var others = view.filter(elmt => elmt.id !== distantId)
+
+  if(thread === 'active') {
+    if(index !== -1) {
+      view.splice(index, 1)
+    }
+    let result = this.randomSubview(L - 1, others)
+    result.push(merge(this.selfDescriptor, { age: 0 }))
+    return result
+  } else {
+    return this.randomSubview(L, others)
+  }
+}
+
+/**
+ * Adds the received descriptors to the view. Descriptors of the node itself or
+ * of already known neighbours are discarded. The new descriptors fill the
+ * empty slots of the view first, then replace the descriptors sent to the
+ * remote peer. The final view will have at most C elements.
+ *
+ * @function GossipCyclon#mergeView
+ * @param {View} recvBuffer - Subset of a view transmitted by the remote peer
+ * @param {View} sentBuffer - Descriptors sent to the remote peer
+ * @param {View} view - View to be used as a base for merging
+ * @return {View} The merged view
+ */
+GossipCyclon.prototype.mergeView = function(recvBuffer, sentBuffer, view) {
+  const C = this.options.C
+  // Ids of the descriptors which can be swapped with received ones
+  var swappable = sentBuffer
+        .map(descriptor => descriptor.id)
+        .filter(id => id !== this.id)
+
+  recvBuffer.forEach(descriptor => {
+    if(descriptor.id === this.id ||
+       findIndex(propEq('id', descriptor.id), view) !== -1) {
+      return
+    }
+
+    if(view.length < C) {
+      view.push(descriptor)
+      return
+    }
+
+    while(swappable.length > 0) {
+      let index = findIndex(propEq('id', swappable.shift()), view)
+      if(index !== -1) {
+        view[index] = descriptor
+        return
+      }
+    }
+  })
+
+  return view
+}
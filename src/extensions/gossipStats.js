@@ -0,0 +1,144 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import { clone } from 'ramda'
+export default GossipStats
+
+/**
+ * @typedef GossipReport
+ * @desc Health metrics of the peer sampling, emitted by the gossip worker with
+ *       `gossip:stats` messages
+ * @type {Object}
+ * @property {Object} exchanges - Counters since the start of the algorithm
+ * @property {number} exchanges.attempted - Exchanges started by the peer
+ * @property {number} exchanges.completed - Exchanges answered by the remote
+ * @property {number} exchanges.timedOut - Exchanges without answer in time
+ * @property {number} exchanges.failed - Exchanges cancelled because the
+ *           connection with the remote peer was lost
+ * @property {number} exchanges.answered - Exchanges started by remote peers
+ * @property {number} successRate - Ratio of completed exchanges (1 if none
+ *           was attempted)
+ * @property {Object} churn - Descriptors `added` to and `removed` from the
+ *           view since the start of the algorithm
+ * @property {number} inDegree - Estimate of the in-degree of the peer: number
+ *           of distinct remote peers which started an exchange since the
+ *           previous report
+ * @property {Object} view
+ * @property {number} view.size
+ * @property {number} view.averageAge - Average age of the descriptors
+ * @property {Object.<number>} view.ageHistogram - Number of descriptors
+ *           indexed by age
+ */
+
+/**
+ * Collects the health metrics of a gossip algorithm
+ *
+ * @class GossipStats
+ * @param {View} [view=[]] - Initial view, not counted as churn
+ * @property {Object} exchanges - Exchange counters
+ * @property {Object} churn - View churn counters
+ * @property {Set.<string>} initiators - Ids of the remote peers which started
+ *           an exchange since the previous report
+ * @property {Set.<string>} viewIds - Ids of the last recorded view
+ */
+function GossipStats(view = []) {
+  this.exchanges = {
+    attempted: 0,
+    completed: 0,
+    timedOut: 0,
+    failed: 0,
+    answered: 0
+  }
+  this.churn = { added: 0, removed: 0 }
+  this.initiators = new Set()
+  this.viewIds = new Set(view.map(nd => nd.id))
+}
+
+/**
+ * Records the outcome of an exchange started by the peer
+ *
+ * @function GossipStats#exchange
+ * @param {string} outcome - `attempted`, `completed`, `timedOut` or `failed`
+ */
+GossipStats.prototype.exchange = function(outcome) {
+  this.exchanges[outcome] += 1
+}
+
+/**
+ * Records an exchange started by a remote peer
+ *
+ * @function GossipStats#answer
+ * @param {string} from - Id of the remote peer
+ */
+GossipStats.prototype.answer = function(from) {
+  this.exchanges.answered += 1
+  this.initiators.add(from)
+}
+
+/**
+ * Counts the descriptors added and removed since the last recorded view
+ *
+ * @function GossipStats#updateView
+ * @param {View} view
+ */
+GossipStats.prototype.updateView = function(view) {
+  var ids = new Set(view.map(nd => nd.id))
+  ids.forEach(id => {
+    if(!this.viewIds.has(id)) {
+      this.churn.added += 1
+    }
+  })
+  this.viewIds.forEach(id => {
+    if(!ids.has(id)) {
+      this.churn.removed += 1
+    }
+  })
+  this.viewIds = ids
+}
+
+/**
+ * Builds a report of the metrics. The in-degree estimate starts over.
+ *
+ * @function GossipStats#report
+ * @param {View} view - Current view of the peer
+ * @return {GossipReport}
+ */
+GossipStats.prototype.report = function(view) {
+  var { attempted, completed } = this.exchanges
+  var ageHistogram = {}
+  view.forEach(nd => ageHistogram[nd.age] = (ageHistogram[nd.age] || 0) + 1)
+
+  var report = {
+    exchanges: clone(this.exchanges),
+    successRate: attempted === 0 ? 1 : completed / attempted,
+    churn: clone(this.churn),
+    inDegree: this.initiators.size,
+    view: {
+      size: view.length,
+      averageAge: view.length === 0 ? 0 :
+        view.reduce((acc, nd) => acc + nd.age, 0) / view.length,
+      ageHistogram: ageHistogram
+    }
+  }
+  this.initiators.clear()
+  return report
+}
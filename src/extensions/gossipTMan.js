@@ -0,0 +1,209 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import GossipAlgorithm from './gossipAlgo.js'
+import { assoc, findIndex, merge, pick, propEq, union } from 'ramda'
+export default GossipTMan
+
+/**
+ * Implementation of the `T-Man` gossiping algorithm. Peers exchange the
+ * descriptors the closest to each other according to a distance function, so
+ * the view of each peer converges to its closest peers: with the `parts` or
+ * `playback` distances, peers watching the same part of the same media cluster
+ * together.
+ *
+ * @class GossipTMan
+ * @implements GossipAlgorithm
+ * @param {String} id - Id of the peer
+ * @param {Object} options - Algorithm options
+ * @param {number} [options.C=10] - Maximum size of the view
+ * @param {number} [options.m=5] - How many descriptors are exchanged
+ * @param {number} [options.psi=3] - The remote peer of an exchange is picked
+ *        among the `psi` closest peers of the view
+ * @param {string} [options.distance='parts'] - Name of the distance function
+ *        (see {@link GossipTMan.distances})
+ *
+ * @property {String} id - Id of the peer
+ * @property {Object} options - Algorithm options
+ * @property {Function} distance - Distance function used to rank descriptors
+ * @property {string} selectionMethod - T-Man shuffles with one of the `closest`
+ *           neighbours
+ */
+function GossipTMan(id, options) {
+  GossipAlgorithm.call(this, id, options)
+  this.options = merge({C: 10, m: 5, psi: 3, distance: 'parts'}, options)
+  this.selectionMethod = 'closest'
+
+  if(!GossipTMan.distances.hasOwnProperty(this.options.distance)) {
+    throw new Error('Unknown distance ' + this.options.distance)
+  }
+  this.distance = GossipTMan.distances[this.options.distance]
+}
+
+GossipTMan.prototype = Object.create(GossipAlgorithm.prototype)
+
+/**
+ * Sorts a view by distance to a descriptor, the closest first
+ *
+ * @function GossipTMan#rank
+ * @param {NodeDescriptor} descriptor - Reference of the ranking
+ * @param {View} view
+ * @return {View} A sorted copy of the view
+ */
+GossipTMan.prototype.rank = function(descriptor, view) {
+  return view
+    .map(nd => ({ nd, d: this.distance(descriptor, nd) }))
+    .sort((a, b) => a.d === b.d ? 0 : a.d < b.d ? -1 : 1)
+    .map(ranked => ranked.nd)
+}
+
+/**
+ * Adds a `closest` selection method picking a random peer among the `psi`
+ * closest peers of the view
+ *
+ * @function GossipTMan#selectRemotePeer
+ * @param {string} method - `closest`, `oldest` or `random`
+ * @param {View} view
+ * @return {string} Id of the selected remote peer
+ */
+GossipTMan.prototype.selectRemotePeer = function(method, view) {
+  if(method === 'closest') {
+    let closest = this.rank(this.selfDescriptor, view)
+          .slice(0, this.options.psi)
+    return closest[Math.floor(Math.random() * closest.length)].id
+  }
+  return GossipAlgorithm.prototype.selectRemotePeer.call(this, method, view)
+}
+
+/**
+ * Generates the m descriptors of the view (including the descriptor of the
+ * node) the closest to the remote peer. If the remote peer is not in the view
+ * the descriptors the closest to the node are sent.
+ *
+ * @function GossipTMan#genBuffer
+ * @param {string} thread - Generation for the active or passive thread
+ * @param {string} distantId - Id of the remote peer
+ * @param {View} view - The base view from which the subset is generated
+ * @return {View} A subset of the view
+ */
+GossipTMan.prototype.genBuffer = function(thread, distantId, view) {
+  var index = findIndex(propEq('id', distantId), view)
+  var target = index === -1 ? this.selfDescriptor : view[index]
+  var buffer = view
+        .filter(nd => nd.id !== distantId)
+        .concat([this.selfDescriptor])
+
+  return this.rank(target, buffer).slice(0, this.options.m)
+}
+
+/**
+ * Merges the received descriptors with the view (the youngest descriptor of a
+ * peer is kept) and keeps the C descriptors the closest to the node.
+ *
+ * @function GossipTMan#mergeView
+ * @param {View} recvBuffer - Subset of a view transmitted by the remote peer
+ * @param {View} sentBuffer - Descriptors sent to the remote peer
+ * @param {View} view - View to be used as a base for merging
+ * @return {View} The merged view
+ */
+GossipTMan.prototype.mergeView = function(recvBuffer, sentBuffer, view) {
+  recvBuffer.forEach(descriptor => {
+    if(descriptor.id === this.id) {
+      return
+    }
+
+    var index = findIndex(propEq('id', descriptor.id), view)
+    if(index === -1) {
+      view.push(descriptor)
+    } else if(descriptor.age <= view[index].age) {
+      view[index] = descriptor
+    }
+  })
+
+  view = this.rank(this.selfDescriptor, view).slice(0, this.options.C)
+
+  // Forget the round trip times of the peers which left the view
+  if(this.selfDescriptor.hasOwnProperty('rtt')) {
+    this.selfDescriptor = assoc('rtt',
+      pick(view.map(nd => nd.id), this.selfDescriptor.rtt),
+      this.selfDescriptor)
+  }
+
+  return view
+}
+
+/**
+ * Stores the round trip time measured during an exchange with a remote peer in
+ * the descriptor of the node (used by the `rtt` distance)
+ *
+ * @function GossipTMan#updateRTT
+ * @param {string} id - Id of the remote peer
+ * @param {number} rtt - Round trip time in milliseconds
+ */
+GossipTMan.prototype.updateRTT = function(id, rtt) {
+  var measures = merge(this.selfDescriptor.rtt || {}, { [id]: rtt })
+  this.selfDescriptor = assoc('rtt', measures, this.selfDescriptor)
+}
+
+/**
+ * Distance functions between two node descriptors. The first descriptor is
+ * the reference of the ranking. Unrelated peers are at an `Infinity` distance.
+ * <ul>
+ * <li>`parts`: Jaccard distance between the media parts held by the peers
+ * <li>`playback`: Smallest difference in seconds between the playback
+ *     positions of a media watched by both peers
+ * <li>`rtt`: Round trip time measured by the reference peer
+ * </ul>
+ * Other functions can be added to the registry before the algorithm is
+ * instantiated.
+ *
+ * @name GossipTMan.distances
+ * @type {Object.<Function>}
+ */
+GossipTMan.distances = {
+  parts: function(a, b) {
+    var partsOf = nd => Object.keys(nd.media || {}).reduce(
+      (acc, url) => acc.concat(nd.media[url].map(part => url + '#' + part)),
+      [])
+    var partsA = partsOf(a)
+    var partsB = partsOf(b)
+    var all = union(partsA, partsB)
+    if(all.length === 0) {
+      return Infinity
+    }
+    var common = partsA.filter(part => partsB.indexOf(part) !== -1)
+    return 1 - common.length / all.length
+  },
+
+  playback: function(a, b) {
+    var positionsA = a.playback || {}
+    var positionsB = b.playback || {}
+    return Object.keys(positionsA)
+      .filter(url => positionsB.hasOwnProperty(url))
+      .reduce((acc, url) => Math.min(acc,
+        Math.abs(positionsA[url] - positionsB[url])), Infinity)
+  },
+
+  rtt: function(a, b) {
+    return a.rtt && a.rtt.hasOwnProperty(b.id) ? a.rtt[b.id] : Infinity
+  }
+}
@@ -21,15 +21,28 @@
 'use strict'
 
 import MessageEmitter from '../messageEmitter.js'
-import Algo from './gossipRPS.js'
+import GossipRPS from './gossipRPS.js'
+import GossipCyclon from './gossipCyclon.js'
+import GossipTMan from './gossipTMan.js'
+import GossipStats from './gossipStats.js'
 import { assocPath } from 'ramda'
 
 export default GossipWorker
 
+/**
+ * Gossip algorithms which can be selected with the `algorithm` option
+ */
+var algorithms = {
+  rps: GossipRPS,
+  cyclon: GossipCyclon,
+  tman: GossipTMan
+}
+
 /**
  * Sends the view to the main thread
  */
 var updateOutsideView = function() {
+  this.stats.updateView(this.view)
   this.send({
     type: 'gossip:view-update',
     from: this.id,
@@ -38,21 +51,69 @@ var updateOutsideView = function() {
   })
 }
 
+/**
+ * Sends the health metrics of the algorithm to the main thread
+ */
+var emitStats = function() {
+  this.send({
+    type: 'gossip:stats',
+    from: this.id,
+    to: this.id,
+    data: this.stats.report(this.view)
+  })
+}
+
+/**
+ * Penalises a remote peer which did not complete an exchange: its descriptor
+ * is removed from the view or made older, depending on the `penalty` option.
+ * The penalty is the same whether the exchange timed out or failed because
+ * the connection was lost: in both cases the peer could not answer and is
+ * unlikely to answer the next exchanges.
+ *
+ * @param {string} id - Id of the remote peer
+ */
+var penalize = function(id) {
+  if(this.penalty === 'age') {
+    this.view
+      .filter(nd => nd.id === id)
+      .forEach(nd => nd.age += this.penaltyAge)
+  } else {
+    this.view = this.view.filter(nd => nd.id !== id)
+  }
+  updateOutsideView.call(this)
+}
+
 /**
  * Active exchange of views with a selected peers. We have to select one peer
  * (oldest or randomly), generate a view for this remote peer, send the view,
- * wait for the answer and finally generate a new merged view.
+ * wait for the answer and finally generate a new merged view. The exchange is
+ * dropped if the remote peer does not answer within `exchangeTimeout`: the
+ * remote peer is penalised and another peer may be tried if there is still
+ * time left in the period.
+ *
+ * @param {number} retries - How many other peers can still be tried
+ * @param {Array.<string>} excluded - Ids of the peers already tried
+ * @param {number} deadline - End of the period
  */
-var activeThread = function() {
+var exchangeView = function(retries, excluded, deadline) {
   var view = this.view
+  var candidates = view.filter(nd => excluded.indexOf(nd.id) === -1)
 
-  if(view.length === 0) {
+  if(candidates.length === 0) {
     return
   }
-  // TODO Replace with a contact bucket
-  var distantId = this.algo.selectRemotePeer('random', view)
+  var distantId =
+        this.algo.selectRemotePeer(this.algo.selectionMethod, candidates)
   var sentBuffer = this.algo.genBuffer('active', distantId, view)
-  this.on('gossip:answer-exchange', function callback(message) {
+  var start = Date.now()
+  this.stats.exchange('attempted')
+
+  var onreply = message => {
+    this.stats.exchange('completed')
+    // Proximity aware algorithms can use the round trip time of the exchange
+    if(typeof this.algo.updateRTT === 'function') {
+      this.algo.updateRTT(distantId, Date.now() - start)
+    }
     // TODO Depends on push/pull policy
     /* The catch here is concurrent update of the view elements. The algorithm
      * states that the view should be reordered each time a new buffer is
@@ -61,10 +122,10 @@ var activeThread = function() {
      * pruning (the size of the view must be constant).
      *
      * If the node receives a request from an other distant node while waiting
-     * for this callback to be called, the view will be updated with the value
-     * of the other received buffer and the "swapped nodes" located at the
-     * beginning of the view will not be the swapped nodes of the exchange
-     * happening in this particular callback.
+     * for this reply, the view will be updated with the value of the other
+     * received buffer and the "swapped nodes" located at the beginning of the
+     * view will not be the swapped nodes of the exchange happening in this
+     * particular request.
      *
      * The oldest nodes present in the view can be categorised and removed
      * independently of the sent and received buffers. The "problem" is only
@@ -72,26 +133,42 @@ var activeThread = function() {
      *
      * The tricky bits are done in the `mergeView` function.
      */
-    if(message.from === distantId) {
-      // Generate the new view
-      view = this.algo.mergeView(message.data, sentBuffer, this.view)
-      // The exchange is complete the view gets older and is saved
-      this.view = this.algo.increaseAge(view)
-      // We don't need this callback anymore
-      this.removeListener('gossip:answer-exchange', callback)
-      // DEBUG Update the view outside
-      updateOutsideView.call(this)
+    // Generate the new view
+    view = this.algo.mergeView(message.data, sentBuffer, this.view)
+    // The exchange is complete the view gets older and is saved
+    this.view = this.algo.increaseAge(view)
+    // DEBUG Update the view outside
+    updateOutsideView.call(this)
+  }
+
+  // Only the rejections of the request are failures: an error raised while
+  // the reply is handled must not penalise the peer which answered
+  var onfailure = error => {
+    if(error.reason === 'destroyed') {
+      return
     }
-  }.bind(this))
+    // No answer, or the connection was lost: the peer is penalised either way
+    // and the view will be exchanged with another peer
+    this.stats.exchange(error.reason === 'timeout' ? 'timedOut' : 'failed')
+    penalize.call(this, distantId)
+
+    if(retries > 0 && Date.now() + this.exchangeTimeout <= deadline) {
+      exchangeView.call(this, retries - 1, excluded.concat(distantId), deadline)
+    }
+  }
+
   // Don't forget to send the generated extract to the selected peer
-  this.send({
-    type: 'gossip:request-exchange',
-    from: this.id,
-    to: distantId,
-    data: sentBuffer,
-    ttl: 3,
-    forwardBy: []
-  })
+  var exchange = this.request(distantId, 'gossip:request-exchange', sentBuffer,
+                              { timeout: this.exchangeTimeout })
+  exchange.then(onreply, onfailure)
+    .catch(error => console.error('Gossip exchange failed', error))
+}
+
+/**
+ * Starts the exchange of the period
+ */
+var activeThread = function() {
+  exchangeView.call(this, this.retries, [], Date.now() + this.gossipPeriod)
 }
 
 /**
@@ -101,6 +178,7 @@ var activeThread = function() {
  * @param {Message} message
  */
 var passiveThread = function(message) {
+  this.stats.answer(message.from)
   var sentBuffer = this.algo.genBuffer('passive', message.from, this.view)
   this.view = this.algo.increaseAge(
     this.algo.mergeView(message.data, sentBuffer, this.view))
@@ -110,7 +188,8 @@ var passiveThread = function(message) {
     to: message.from,
     data: sentBuffer,
     ttl: 0,
-    forwardBy: []
+    forwardBy: [],
+    inReplyTo: message.requestId
   })
   updateOutsideView.call(this)
 }
@@ -121,28 +200,86 @@ var passiveThread = function(message) {
  * @param {Message} message
  * @param {number} [message.data.gossipPeriod=2500] - Interval in milliseconds
  *        between two active requests
+ * @param {string} [message.data.algorithm='rps'] - Name of the gossip
+ *        algorithm (`rps`, `cyclon` or `tman`)
+ * @param {number} [message.data.statsPeriod=10000] - Interval in milliseconds
+ *        between two `gossip:stats` messages
+ * @param {number} [message.data.exchangeTimeout=gossipPeriod] - Time in
+ *        milliseconds after which an exchange without answer is dropped
+ * @param {string} [message.data.penalty='evict'] - What happens to the
+ *        descriptor of a peer which did not answer (timeout or lost
+ *        connection): `evict` removes it from the view, `age` makes it
+ *        `penaltyAge` older
+ * @param {number} [message.data.penaltyAge=10]
+ * @param {number} [message.data.retries=0] - How many other peers can be tried
+ *        in the same period when an exchange is dropped
  */
 var oninit = function(message) {
   let parameters = message.data
   this.options = parameters
 
+  let name = parameters.algorithm || 'rps'
+  if(!algorithms.hasOwnProperty(name)) {
+    throw new Error('Unknown gossip algorithm ' + name)
+  }
+  this.Algo = algorithms[name]
+
   if(parameters.hasOwnProperty('gossipPeriod')) {
     this.gossipPeriod = parameters.gossipPeriod
   } else {
     this.gossipPeriod = 2500
   }
+
+  if(parameters.hasOwnProperty('statsPeriod')) {
+    this.statsPeriod = parameters.statsPeriod
+  } else {
+    this.statsPeriod = 10000
+  }
+
+  if(parameters.hasOwnProperty('exchangeTimeout')) {
+    this.exchangeTimeout = parameters.exchangeTimeout
+  } else {
+    this.exchangeTimeout = this.gossipPeriod
+  }
+
+  if(parameters.hasOwnProperty('penalty')) {
+    if(['evict', 'age'].indexOf(parameters.penalty) === -1) {
+      throw new Error('Unknown penalty ' + parameters.penalty)
+    }
+    this.penalty = parameters.penalty
+  }
+
+  if(parameters.hasOwnProperty('penaltyAge')) {
+    this.penaltyAge = parameters.penaltyAge
+  }
+
+  if(parameters.hasOwnProperty('retries')) {
+    this.retries = parameters.retries
+  }
 }
 
 /**
- * Starts the active thread of the algorithm
+ * Starts the active thread of the algorithm and the emission of the metrics
  *
  * @param {Message} message
  */
 var onfirstview = function(message) {
   this.id = message.data.id
   this.view = message.data.view
-  this.algo = new Algo(this.id, this.options)
-  self.setInterval(activeThread.bind(this), this.gossipPeriod)
+  this.algo = new this.Algo(this.id, this.options)
+  this.stats = new GossipStats(this.view)
+  this.activeInterval =
+    self.setInterval(activeThread.bind(this), this.gossipPeriod)
+  this.statsInterval = self.setInterval(emitStats.bind(this), this.statsPeriod)
+}
+
+/**
+ * Stops the active thread and the emission of the metrics. Pending exchanges
+ * are rejected by {@link MessageEmitter#request}.
+ */
+var onstop = function() {
+  self.clearInterval(this.activeInterval)
+  self.clearInterval(this.statsInterval)
 }
 
 /**
@@ -184,14 +321,31 @@ var ondescriptorupdate = function(message) {
  *
  * @class GossipWorker
  * @property {View} view - Current view of the peer
+ * @property {Function} Algo - Constructor of the selected gossip algorithm
  * @property {GossipAlgorithm} algo - Gossip algorithm used to compute the new
  *           view and share node descriptors with other peers.
  * @property {number} gossipPeriod - How often, in milliseconds, the active
  *           thread of the gossip algorithm should be executed
+ * @property {number} ttl - `Time To Live' of the exchange requests
+ * @property {GossipStats} stats - Health metrics of the algorithm
+ * @property {number} statsPeriod - How often, in milliseconds, the metrics are
+ *           sent to the main thread
+ * @property {number} exchangeTimeout - Time in milliseconds after which an
+ *           exchange without answer is dropped
+ * @property {string} penalty - `evict` or `age` the unresponsive peers
+ * @property {number} penaltyAge - Age added to an unresponsive peer
+ * @property {number} retries - How many other peers can be tried in a period
+ * @property {number} activeInterval - Id of the interval of the active thread
+ * @property {number} statsInterval - Id of the interval emitting the metrics
  */
 function GossipWorker() {
   MessageEmitter.call(this)
   this.view = []
+  this.ttl = 3
+  this.Algo = GossipRPS
+  this.penalty = 'evict'
+  this.penaltyAge = 10
+  this.retries = 0
 
   // Initialisation options
   this.once('gossip:init', oninit)
@@ -201,25 +355,36 @@ function GossipWorker() {
   this.on('gossip:descriptor-update', ondescriptorupdate)
   // Partial view request from a remote peer
   this.on('gossip:request-exchange', passiveThread)
+  // The peer is destroyed
+  this.once('peer:destroyed', onstop)
 }
 
 GossipWorker.prototype = Object.create(MessageEmitter.prototype)
 
 /**
- * Sends the message to the outside world
+ * Sends the message to the outside world. The timeout goes with the message
+ * so that the Peer drops it from its queue if the remote peer can't be
+ * reached.
  *
  * @function GossipWorker#send
  * @param {Message} message - Message to send
+ * @param {number} [timeout=exchangeTimeout] - Time after which the message is
+ *        dropped by the Peer
  */
-GossipWorker.prototype.send = function(message) {
-  self.postMessage(message)
+GossipWorker.prototype.send = function(message,
+                                       timeout = this.exchangeTimeout) {
+  self.postMessage({ message, timeout })
 }
 
-// Inline code called during worker instantiation
-// Start the GossipWorker
-self.gossipWorker = new GossipWorker()
+// Inline code called during worker instantiation (the module can also be
+// imported outside of a worker, by the tests for instance)
+if(typeof WorkerGlobalScope !== 'undefined' &&
+   self instanceof WorkerGlobalScope) {
+  // Start the GossipWorker
+  self.gossipWorker = new GossipWorker()
 
-// Messages from outside are dispatched through the MessageEmitter interface
-self.addEventListener('message', evtMessage => {
-  self.gossipWorker.dispatchMessage(evtMessage.data)
-})
+  // Messages from outside are dispatched through the MessageEmitter interface
+  self.addEventListener('message', evtMessage => {
+    self.gossipWorker.dispatchMessage(evtMessage.data)
+  })
+}
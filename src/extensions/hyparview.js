@@ -0,0 +1,585 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import { register } from '../schema.js'
+import { shuffleArray } from '../util.js'
+import { assocPath } from 'ramda'
+export default HyParView
+
+// Shapes of the messages used by the extension
+register('hyparview:join', { data: 'object' })
+register('hyparview:forward-join', { data: 'object' })
+register('hyparview:neighbor', { data: 'object' })
+register('hyparview:neighbor:reply', { data: 'object' })
+register('hyparview:disconnect', {})
+register('hyparview:shuffle', { data: 'object' })
+register('hyparview:shuffle-reply', { data: 'array' })
+register('hyparview:descriptor', { data: 'object' })
+
+/**
+ * @param {Array.<T>} array
+ * @return {T} A random element of the array (undefined if it is empty)
+ */
+var randomOf = function(array) {
+  return array[Math.floor(Math.random() * array.length)]
+}
+
+/**
+ * Sends a message of the protocol to a remote peer. A connection is requested
+ * if the peers are not connected yet.
+ *
+ * @param {string} to - Id of the remote peer
+ * @param {string} type - Type of the message
+ * @param {any} data
+ */
+var sendTo = function(to, type, data) {
+  this.send({
+    type: type,
+    from: this.id,
+    to: to,
+    data: data,
+    ttl: this.ttl,
+    forwardBy: []
+  })
+}
+
+/**
+ * Dispatches the active view as the gossip view of the peer
+ */
+var updateView = function() {
+  this.dispatchMessage({
+    type: 'gossip:view-update',
+    from: this.id,
+    to: this.id,
+    data: [...this.hyparview.active.values()]
+  })
+}
+
+/**
+ * Adds a descriptor to the passive view. When the view is full, a descriptor
+ * of the `preferred` list is removed (or a random one if there is none).
+ *
+ * @param {NodeDescriptor} descriptor
+ * @param {Array.<string>} [preferred=[]] - Ids which should be removed first
+ */
+var addPassive = function(descriptor, preferred = []) {
+  var { active, passive } = this.hyparview
+  var id = descriptor.id
+
+  if(id === this.id || active.has(id) || passive.has(id)) {
+    return
+  }
+
+  if(passive.size >= this.hyparview.passiveSize) {
+    let removable = preferred.filter(p => passive.has(p))
+    passive.delete(removable.length > 0 ?
+                   removable[0] :
+                   randomOf([...passive.keys()]))
+  }
+  passive.set(id, descriptor)
+}
+
+/**
+ * Removes a neighbour from the active view. The neighbour is told to do the
+ * same and is kept in the passive view.
+ *
+ * @param {string} id - Id of the neighbour
+ */
+var dropActive = function(id) {
+  var descriptor = this.hyparview.active.get(id)
+  this.hyparview.active.delete(id)
+  sendTo.call(this, id, 'hyparview:disconnect')
+  addPassive.call(this, descriptor)
+}
+
+/**
+ * Adds a neighbour to the active view. When the view is full, a random
+ * neighbour is dropped to make room.
+ *
+ * @param {NodeDescriptor} descriptor
+ */
+var addActive = function(descriptor) {
+  var { active, passive } = this.hyparview
+  var id = descriptor.id
+
+  if(id === this.id) {
+    return
+  }
+
+  if(!active.has(id) && active.size >= this.hyparview.activeSize) {
+    dropActive.call(this, randomOf([...active.keys()]))
+  }
+  passive.delete(id)
+  active.set(id, descriptor)
+  updateView.call(this)
+}
+
+/**
+ * Fills the active view with peers of the passive view. The candidates are
+ * asked one at a time to become neighbours: with a `high` priority when the
+ * active view is empty (the request can not be refused), `low` otherwise.
+ * Candidates which do not answer are removed from the passive view.
+ *
+ * @param {Array.<string>} [candidates] - Ids of the peers which can be asked,
+ *        defaults to the whole passive view in random order
+ */
+var promote = function(candidates) {
+  var { active, passive } = this.hyparview
+
+  if(typeof candidates === 'undefined') {
+    candidates = shuffleArray([...passive.keys()])
+  }
+  candidates = candidates.filter(id => passive.has(id))
+
+  if(this.hyparview.promoting ||
+     active.size >= this.hyparview.activeSize ||
+     candidates.length === 0) {
+    return
+  }
+
+  var id = candidates.shift()
+  var data = {
+    descriptor: this.hyparview.self,
+    priority: active.size === 0 ? 'high' : 'low'
+  }
+
+  this.hyparview.promoting = true
+  this.request(id, 'hyparview:neighbor', data).then(reply => {
+    this.hyparview.promoting = false
+    if(reply.data.accepted) {
+      addActive.call(this, reply.data.descriptor)
+    } else if(!active.has(id)) {
+      this.closeConnection(id)
+    }
+    promote.call(this, candidates)
+  }, () => {
+    this.hyparview.promoting = false
+    passive.delete(id)
+    promote.call(this, candidates)
+  })
+}
+
+/**
+ * Joins the overlay through a random contact of the first view. The other
+ * peers of the first view fill the passive view.
+ *
+ * Extensions are applied by the constructor of the {@link Peer} before it
+ * adds its own listeners, so this handler runs first: the active view it
+ * dispatches becomes the view of the peer, which keeps it instead of the
+ * whole first view.
+ *
+ * @param {Message} message
+ */
+var onfirstview = function(message) {
+  // The handler of the peer setting the id is called after this one
+  this.id = message.data.id
+  this.hyparview.self.id = this.id
+
+  var view = message.data.view.filter(descriptor => descriptor.id !== this.id)
+  view.forEach(descriptor => addPassive.call(this, descriptor))
+
+  var contact = randomOf(view)
+  if(typeof contact !== 'undefined') {
+    addActive.call(this, contact)
+    sendTo.call(this, contact.id, 'hyparview:join', this.hyparview.self)
+  }
+
+  this.hyparview.shuffleInterval =
+    window.setInterval(shuffle.bind(this), this.hyparview.shufflePeriod)
+}
+
+/**
+ * A new peer joins the overlay through this peer. The join is propagated to
+ * every other neighbour with a random walk.
+ *
+ * @param {Message} message
+ */
+var onjoin = function(message) {
+  var descriptor = message.data
+  addActive.call(this, descriptor)
+  this.hyparview.active.forEach((neighbour, id) => {
+    if(id !== descriptor.id) {
+      sendTo.call(this, id, 'hyparview:forward-join', {
+        descriptor: descriptor,
+        ttl: this.hyparview.activeWalk
+      })
+    }
+  })
+}
+
+/**
+ * Step of the random walk of a join. The new peer is asked to become a
+ * neighbour at the end of the walk (or if the peer has no other neighbour) and
+ * is added to the passive view when the walk reaches `passiveWalk`. A new peer
+ * refusing (or not answering) is only kept in the passive view.
+ *
+ * @param {Message} message
+ */
+var onforwardjoin = function(message) {
+  var { descriptor, ttl } = message.data
+  var { active, passive } = this.hyparview
+
+  if(descriptor.id === this.id || active.has(descriptor.id)) {
+    return
+  }
+
+  var next = [...active.keys()].filter(id => id !== message.from)
+  if(ttl === 0 || next.length === 0) {
+    let data = { descriptor: this.hyparview.self, priority: 'high' }
+    this.request(descriptor.id, 'hyparview:neighbor', data).then(reply => {
+      if(reply.data.accepted) {
+        addActive.call(this, reply.data.descriptor)
+      } else {
+        addPassive.call(this, descriptor)
+        if(!active.has(descriptor.id)) {
+          this.closeConnection(descriptor.id)
+        }
+      }
+    }, () => passive.delete(descriptor.id))
+    return
+  }
+
+  if(ttl === this.hyparview.passiveWalk) {
+    addPassive.call(this, descriptor)
+  }
+  sendTo.call(this, randomOf(next), 'hyparview:forward-join', {
+    descriptor: descriptor,
+    ttl: ttl - 1
+  })
+}
+
+/**
+ * A remote peer asks to become a neighbour. The request is accepted if it has
+ * a high priority or if the active view is not full.
+ *
+ * @param {Message} message
+ */
+var onneighbor = function(message) {
+  var { descriptor, priority } = message.data
+  var accepted = priority === 'high' ||
+        this.hyparview.active.has(descriptor.id) ||
+        this.hyparview.active.size < this.hyparview.activeSize
+
+  if(accepted) {
+    addActive.call(this, descriptor)
+  }
+  this.respondTo(message, {
+    type: 'hyparview:neighbor:reply',
+    data: { descriptor: this.hyparview.self, accepted: accepted }
+  })
+}
+
+/**
+ * The remote peer dropped this peer from its active view. The connection is
+ * closed and the remote peer is kept in the passive view.
+ *
+ * @param {Message} message
+ */
+var ondisconnect = function(message) {
+  var remote = message.from
+  var active = this.hyparview.active
+
+  if(active.has(remote)) {
+    let descriptor = active.get(remote)
+    active.delete(remote)
+    addPassive.call(this, descriptor)
+    updateView.call(this)
+    this.closeConnection(remote)
+    promote.call(this)
+  }
+}
+
+/**
+ * Failure detection: a neighbour whose connection is lost is removed from the
+ * views and replaced by a peer of the passive view.
+ *
+ * @param {Message} message
+ */
+var onconnectionlost = function(message) {
+  var remote = message.from
+
+  if(this.hyparview.active.has(remote)) {
+    this.hyparview.active.delete(remote)
+    updateView.call(this)
+    promote.call(this)
+  }
+}
+
+/**
+ * Periodic exchange of the passive views. A random walk carries descriptors of
+ * the peer and of some of its neighbours, the peer at the end of the walk
+ * answers with descriptors of its own passive view.
+ */
+var shuffle = function() {
+  var { active, passive, self } = this.hyparview
+
+  promote.call(this)
+  if(active.size === 0) {
+    return
+  }
+
+  var target = randomOf([...active.keys()])
+  var neighbours = [...active.values()].filter(nd => nd.id !== target)
+  var nodes = [self]
+        .concat(shuffleArray(neighbours).slice(0, HyParView.shuffleActive))
+        .concat(shuffleArray([...passive.values()])
+                .slice(0, HyParView.shufflePassive))
+
+  this.hyparview.shuffled = nodes.map(nd => nd.id)
+  sendTo.call(this, target, 'hyparview:shuffle', {
+    origin: this.id,
+    ttl: this.hyparview.passiveWalk,
+    nodes: nodes
+  })
+}
+
+/**
+ * Step of the random walk of a shuffle. At the end of the walk the peer sends
+ * a part of its passive view to the origin and integrates the received
+ * descriptors.
+ *
+ * @param {Message} message
+ */
+var onshuffle = function(message) {
+  var { origin, ttl, nodes } = message.data
+  var { active, passive } = this.hyparview
+
+  var next = [...active.keys()]
+        .filter(id => id !== message.from && id !== origin)
+  if(ttl > 0 && next.length > 0) {
+    sendTo.call(this, randomOf(next), 'hyparview:shuffle', {
+      origin: origin,
+      ttl: ttl - 1,
+      nodes: nodes
+    })
+    return
+  }
+
+  var reply = shuffleArray([...passive.values()]).slice(0, nodes.length)
+  sendTo.call(this, origin, 'hyparview:shuffle-reply', reply)
+  nodes.forEach(descriptor => addPassive.call(
+    this, descriptor, reply.map(nd => nd.id)))
+}
+
+/**
+ * End of a shuffle. The descriptors sent are replaced first. The temporary
+ * connection with the remote peer is closed if it is not a neighbour.
+ *
+ * @param {Message} message
+ */
+var onshufflereply = function(message) {
+  message.data.forEach(descriptor => addPassive.call(
+    this, descriptor, this.hyparview.shuffled))
+
+  if(!this.hyparview.active.has(message.from)) {
+    this.closeConnection(message.from)
+  }
+}
+
+/**
+ * Updates the descriptor of the peer and sends it to the neighbours. Some
+ * properties change often (like the playback position) so the descriptor is
+ * sent at most once every `descriptorDelay` milliseconds, with the latest
+ * values.
+ *
+ * @param {Message} message
+ * @param {Array.<string>} message.data.path - Path of properties in the
+ *        descriptor object where the value will be set or updated
+ * @param {any} message.data.value - Value to be added at the end of the path
+ */
+var ondescriptorupdate = function(message) {
+  var hyparview = this.hyparview
+  hyparview.self = assocPath(
+    message.data.path, message.data.value, hyparview.self)
+
+  if(typeof hyparview.descriptorTimeout !== 'undefined') {
+    return
+  }
+
+  hyparview.descriptorTimeout = window.setTimeout(() => {
+    hyparview.descriptorTimeout = undefined
+    hyparview.active.forEach((neighbour, id) => {
+      sendTo.call(this, id, 'hyparview:descriptor', hyparview.self)
+    })
+  }, hyparview.descriptorDelay)
+}
+
+/**
+ * A neighbour updated its descriptor
+ *
+ * @param {Message} message
+ */
+var ondescriptor = function(message) {
+  if(this.hyparview.active.has(message.from)) {
+    this.hyparview.active.set(message.from, message.data)
+    updateView.call(this)
+  } else if(this.hyparview.passive.has(message.from)) {
+    this.hyparview.passive.set(message.from, message.data)
+  }
+}
+
+/**
+ * Implementation of the HyParView membership protocol, used by the gossip
+ * extension when `options.algorithm` is `hyparview`. Unlike the view of the
+ * other gossip algorithms, the small active view is made of the peers with
+ * an open connection: a lost connection is detected by the DataChannel and
+ * the neighbour is replaced by a peer of the larger passive view. The passive
+ * view is refreshed by periodic shuffles.
+ *
+ * The active view is dispatched with `gossip:view-update` messages so the
+ * other extensions (like {@link MediaPeer}) get a stable set of neighbours.
+ *
+ * @mixin HyParView
+ * @extends Peer
+ * @param {Object} options
+ * @param {number} [options.activeSize=HyParView.activeSize]
+ * @param {number} [options.passiveSize=HyParView.passiveSize]
+ * @param {number} [options.activeWalk=HyParView.activeWalk]
+ * @param {number} [options.passiveWalk=HyParView.passiveWalk]
+ * @param {number} [options.gossipPeriod=HyParView.shufflePeriod] - Interval
+ *        in milliseconds between two shuffles
+ * @param {number} [options.descriptorDelay=HyParView.descriptorDelay] -
+ *        Minimum time in milliseconds between two sendings of the descriptor
+ *
+ * @property {Object} hyparview
+ * @property {number} hyparview.activeSize - Maximum size of the active view
+ * @property {number} hyparview.passiveSize - Maximum size of the passive view
+ * @property {number} hyparview.activeWalk - Length of the walk of a join
+ * @property {number} hyparview.passiveWalk - Step of a join walk adding the
+ *           new peer to the passive view, length of the walk of a shuffle
+ * @property {number} hyparview.shufflePeriod - Interval between two shuffles
+ * @property {number} hyparview.descriptorDelay - Minimum time between two
+ *           sendings of the descriptor
+ * @property {number} [hyparview.descriptorTimeout] - Id of the timeout
+ *           sending the updated descriptor
+ * @property {NodeDescriptor} hyparview.self - Descriptor of the peer
+ * @property {Map.<NodeDescriptor>} hyparview.active - Neighbours indexed by id
+ * @property {Map.<NodeDescriptor>} hyparview.passive - Known peers indexed by
+ *           id
+ * @property {Array.<string>} hyparview.shuffled - Ids sent by the last shuffle
+ * @property {boolean} hyparview.promoting - Whether a passive peer is being
+ *           asked to become a neighbour
+ * @property {number} hyparview.shuffleInterval - Id of the shuffle interval
+ */
+function HyParView(options) {
+  var setting = (name, option = name) => options.hasOwnProperty(option) ?
+        options[option] :
+        HyParView[name]
+
+  this.hyparview = {
+    activeSize: setting('activeSize'),
+    passiveSize: setting('passiveSize'),
+    activeWalk: setting('activeWalk'),
+    passiveWalk: setting('passiveWalk'),
+    shufflePeriod: setting('shufflePeriod', 'gossipPeriod'),
+    descriptorDelay: setting('descriptorDelay'),
+    self: { id: undefined, age: 0 },
+    active: new Map(),
+    passive: new Map(),
+    shuffled: [],
+    promoting: false
+  }
+
+  this.on('first-view', onfirstview)
+  this.on('hyparview:join', onjoin)
+  this.on('hyparview:forward-join', onforwardjoin)
+  this.on('hyparview:neighbor', onneighbor)
+  this.on('hyparview:disconnect', ondisconnect)
+  this.on('hyparview:shuffle', onshuffle)
+  this.on('hyparview:shuffle-reply', onshufflereply)
+  this.on('hyparview:descriptor', ondescriptor)
+  this.on('gossip:descriptor-update', ondescriptorupdate)
+  this.on('gossip:view-update', msg => this.view = msg.data)
+  this.on('disconnected', onconnectionlost)
+  this.on('connection:failed', onconnectionlost)
+
+  this.on('peer:destroyed', () => {
+    window.clearInterval(this.hyparview.shuffleInterval)
+    window.clearTimeout(this.hyparview.descriptorTimeout)
+  })
+}
+
+/**
+ * Default maximum size of the active view
+ *
+ * @name HyParView.activeSize
+ * @type {number}
+ */
+HyParView.activeSize = 5
+
+/**
+ * Default maximum size of the passive view
+ *
+ * @name HyParView.passiveSize
+ * @type {number}
+ */
+HyParView.passiveSize = 30
+
+/**
+ * Default length of the random walk of a join
+ *
+ * @name HyParView.activeWalk
+ * @type {number}
+ */
+HyParView.activeWalk = 6
+
+/**
+ * Default step of the random walk of a join at which the new peer is added
+ * to the passive view. Also the length of the random walk of a shuffle.
+ *
+ * @name HyParView.passiveWalk
+ * @type {number}
+ */
+HyParView.passiveWalk = 3
+
+/**
+ * Number of neighbours sent in a shuffle
+ *
+ * @name HyParView.shuffleActive
+ * @type {number}
+ */
+HyParView.shuffleActive = 3
+
+/**
+ * Number of passive peers sent in a shuffle
+ *
+ * @name HyParView.shufflePassive
+ * @type {number}
+ */
+HyParView.shufflePassive = 4
+
+/**
+ * Default interval in milliseconds between two shuffles
+ *
+ * @name HyParView.shufflePeriod
+ * @type {number}
+ */
+HyParView.shufflePeriod = 2500
+
+/**
+ * Default minimum time in milliseconds between two sendings of the descriptor
+ * of the peer to its neighbours
+ *
+ * @name HyParView.descriptorDelay
+ * @type {number}
+ */
+HyParView.descriptorDelay = 5000
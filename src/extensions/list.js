@@ -20,10 +20,12 @@
 
 import MediaPeer from './mediaPeer.js'
 import Gossip from './gossip.js'
+import DHT from './dht.js'
 
 var modules = {
   gossip: Gossip,
-  media: MediaPeer
+  media: MediaPeer,
+  dht: DHT
 }
 
 /**
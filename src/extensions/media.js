@@ -20,17 +20,18 @@
  */
 'use strict'
 
-import { contains, shuffleArray, error as errorHandler } from '../util.js'
-import { assoc, find, flatten } from 'ramda'
+import { contains, shuffleArray } from '../util.js'
+import { assoc, find } from 'ramda'
 export default Media
 
 var MediaSource = window.MediaSource || window.WebKitMediaSource
 
 /**
- * @typedef {Array.<number>} Chunk
+ * @typedef {(ArrayBuffer|Array.<number>)} Chunk
  * @desc A chunk is a subsection of a video part. While parts represent
  *       meaningful media segments for the media player, chunks are used to
- *       respond to the size limitation of RTCDataChannel's messages.
+ *       respond to the size limitation of RTCDataChannel's messages. Chunks
+ *       received from peers using the JSON encoding are arrays of bytes.
  */
 
 /**
@@ -60,6 +61,8 @@ var MediaSource = window.MediaSource || window.WebKitMediaSource
  *           <li>`available`: the part has been downloaded and can be appended
  *           <li>`added`: the part has been appended to the source buffer
  * @property {number} partNumber - Identifier for a video part
+ * @property {string} [remote] - Id of the peer the part has been requested to
+ *           when it is `pending`
  * @property {ArrayBuffer} part - Actual video data
  * @property {Array.<Chunk>} [chunks] - If a part is received in
  *           multiple chunks, the chunks will be stored here until the part is
@@ -93,6 +96,8 @@ var MediaSource = window.MediaSource || window.WebKitMediaSource
  * @property {SourceBuffer} sourceBuffer - Buffer where the parts are appended
  * @property {HTMLMediaElement} sourceTag - HTML element where hte media will
  *           be played
+ * @property {string} [objectURL] - URL of the media source given to the
+ *           source tag
  * @property {string} url - Source URL of the media. It's used to identify the
  *           media on the mesh
  */
@@ -259,7 +264,7 @@ var appendQueuedParts = function() {
     }
   } else if(!this.sourceBuffer.updating) {
     // Write current chunk
-    this.sourceBuffer.appendBuffer(new Uint8Array(nextPart))
+    this.sourceBuffer.appendBuffer(new Uint8Array(nextPart.part))
     nextPart.status = 'added'
   }
 }
@@ -289,8 +294,22 @@ Media.prototype.initSource = function(head) {
   }, false)
 
   this.mediaSource = mediaSource
+  this.objectURL = window.URL.createObjectURL(mediaSource)
   // Triggers the "sourceopen" event of the MediaSource object
-  video.src = window.URL.createObjectURL(mediaSource)
+  video.src = this.objectURL
+}
+
+/**
+ * Releases the object URL created for the media source. The media will not be
+ * playable anymore.
+ *
+ * @function Media#destroy
+ */
+Media.prototype.destroy = function() {
+  if(typeof this.objectURL !== 'undefined') {
+    window.URL.revokeObjectURL(this.objectURL)
+    delete this.objectURL
+  }
 }
 
 /**
@@ -316,9 +335,11 @@ Media.prototype.append = function(number, buffer) {
     }
     partObject.chunks[chunkNumber] = buffer
 
-    // Check if we have all chunks
-    if(partObject.chunks.length === numberOfChunks) {
-      partObject.part = flatten(partObject.chunks)
+    // Check if we have all chunks (the array may have holes)
+    if(partObject.chunks.filter(() => true).length ===
+       Number(numberOfChunks)) {
+      partObject.part = concatChunks(partObject.chunks)
+      delete partObject.chunks
       partObject.status = 'available'
     }
   } else {
@@ -335,11 +356,30 @@ Media.prototype.append = function(number, buffer) {
      !this.sourceBuffer.updating) {
     this.sourceBuffer.addEventListener('updateend',
                                        appendQueuedParts.bind(this))
-    this.sourceBuffer.appendBuffer(new Uint8Array(buffer))
+    this.sourceBuffer.appendBuffer(new Uint8Array(partObject.part))
     this.parts[partNumber].status = 'added'
   }
 }
 
+/**
+ * Joins the chunks of a part
+ *
+ * @param {Array.<Chunk>} chunks - Ordered chunks of the part
+ * @return {ArrayBuffer} The whole part
+ */
+var concatChunks = function(chunks) {
+  var size = chunks.reduce(
+    ((acc, chunk) => acc + (chunk.byteLength || chunk.length)), 0)
+  var part = new Uint8Array(size)
+  var offset = 0
+  chunks.forEach(chunk => {
+    var bytes = new Uint8Array(chunk)
+    part.set(bytes, offset)
+    offset += bytes.length
+  })
+  return part.buffer
+}
+
 /**
  * WebRTC prevents Datachannels messages to be greater than 64KB. This function
  * returns an orderd list of chunks composing the video part.
@@ -347,8 +387,8 @@ Media.prototype.append = function(number, buffer) {
  * @function Media#getChunkedPart
  * @param {number} chunkSize - Maximum size for a chunk
  * @param {number} partNumber - Id of the desired part
- * @return {Array.<Chunk>} The chunks are returned as Array instead of
- *         Uint8Array as they take less space when serialized as string
+ * @return {Array.<ArrayBuffer>} The chunks are copies of the part's data and
+ *         are sent as binary frames by the DataChannels
  */
 Media.prototype.getChunkedPart = function(chunkSize, partNumber) {
   if(typeof this.parts[partNumber] !== 'undefined') {
@@ -356,10 +396,7 @@ Media.prototype.getChunkedPart = function(chunkSize, partNumber) {
     var numberOfChunks = Math.ceil(part.byteLength / chunkSize)
     var chunks = []
     for(let i = 0; i < numberOfChunks; ++i) {
-      let chunk = new Uint8Array(part.slice(i * chunkSize, (i + 1) * chunkSize))
-      // Mesages will be smaller if we use arrays instead of typed arrays.
-      // Spread operator iterates through all the values of the iterator
-      chunks.push([...chunk.values()])
+      chunks.push(part.slice(i * chunkSize, (i + 1) * chunkSize))
     }
     return chunks
   }
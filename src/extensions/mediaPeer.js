@@ -21,10 +21,24 @@
 'use strict'
 
 import Media from './media.js'
-import { contains, getURL, getRemoteFile } from '../util.js'
+import { registerURL } from '../datachannel.js'
+import { register } from '../schema.js'
+import { contains, getURL, getRemoteFile, shuffleArray } from '../util.js'
 import { filter, forEach, merge, pipe } from 'ramda'
 export default MediaPeer
 
+// Shapes of the messages used by the extension
+register('media:request-metadata', { url: 'string', data: 'string' })
+register('media:metadata', { url: 'string', data: 'object' })
+register('media:request-head', { url: 'string' })
+register('media:head', { url: 'string', data: 'any' })
+register('media:request-part', {
+  data: 'object',
+  ttl: 'number',
+  forwardBy: 'array'
+})
+register('media:part', { url: 'string', number: 'number|string', data: 'any' })
+
 /**
  * Set a new media we need to leech
  *
@@ -38,6 +52,8 @@ export default MediaPeer
 var addMedia = function(sourceURL, metaURL, tag, autoload) {
   // Track the file
   var media = new Media(sourceURL, tag, autoload)
+  // Parts of the media can now be received as binary frames
+  registerURL(sourceURL)
   this.dispatchMessage({
     from: this.id,
     to: this.id,
@@ -46,6 +62,25 @@ var addMedia = function(sourceURL, metaURL, tag, autoload) {
     url: sourceURL
   })
 
+  // Share the playback position (in seconds) through the node descriptor
+  if(tag && typeof tag.addEventListener === 'function') {
+    let position
+    tag.addEventListener('timeupdate', () => {
+      if(Math.floor(tag.currentTime) !== position) {
+        position = Math.floor(tag.currentTime)
+        this.dispatchMessage({
+          from: this.id,
+          to: this.id,
+          type: 'gossip:descriptor-update',
+          data: {
+            path: ['playback', sourceURL],
+            value: position
+          }
+        })
+      }
+    })
+  }
+
   this.files.set(sourceURL, media)
 }
 
@@ -62,16 +97,25 @@ var askForNextParts = function(media, nbParts) {
   /**
    * Returns a callback used to download a part from the server. When the part
    * is downloaded it is dispatched to the peer instance through a `part`
-   * message.
+   * message. Nothing is done if the part has been requested to another peer
+   * in the meantime or if the request failed because the peer was destroyed.
    *
-   * @param {Peer} peer
    * @param {number} partNumber
-   * @return {Function}
+   * @param {string} remote - Id of the peer the part was requested to
+   * @return {Function} Called with the error of the failed request, if any
    */
-  var downloadFromServer = (peer, partNumber) => () => {
+  var downloadFromServer = (partNumber, remote) => error => {
+    var part = media.parts[partNumber]
+    if(part.status !== 'pending' || part.remote !== remote) {
+      return
+    }
+    if(typeof error !== 'undefined' && error.reason === 'destroyed') {
+      return
+    }
+
     var partRange = media.getRangeOfPart(partNumber)
     getRemoteFile(media.url, 'arraybuffer', partRange)
-      .then(part => peer.dispatchMessage({
+      .then(part => this.dispatchMessage({
         from: this.id,
         to: this.id,
         type: 'media:part',
@@ -81,20 +125,57 @@ var askForNextParts = function(media, nbParts) {
       }))
   }
 
-  var choices = media.nextPartsToDownload(nbParts)
+  /**
+   * Requests a part to a remote peer. The part is downloaded from the server
+   * if the remote peer does not answer in time or if the connection is lost,
+   * but not once the peer is destroyed.
+   *
+   * @param {number} partNumber
+   * @param {string} remote - Id of the remote peer
+   */
+  var requestPart = (partNumber, remote) => {
+    media.parts[partNumber].status = 'pending'
+    media.parts[partNumber].remote = remote
 
-  choices.forEach(choice => {
-    this.send({
-      type: 'media:request-part',
-      from: this.id,
-      to: choice.id,
+    this.request(remote, 'media:request-part', {
       url: media.url,
-      ttl: this.ttl,
-      forwardBy: [],
-      number: choice.partNumber
-    }, MediaPeer.downloadTimeout, downloadFromServer(this, choice.partNumber))
+      number: partNumber
+    }, {
+      timeout: MediaPeer.downloadTimeout
+    }).catch(downloadFromServer(partNumber, remote))
+  }
 
-    media.parts[choice.partNumber].status = 'pending'
+  /**
+   * Looks for a provider of the part in the DHT. The part is downloaded from
+   * the server if there is none.
+   *
+   * @param {number} partNumber
+   */
+  var lookupPart = partNumber => {
+    media.parts[partNumber].status = 'pending'
+    media.parts[partNumber].remote = 'source'
+
+    this.findProviders(media.url, partNumber)
+      .then(providers => providers.filter(p => p.id !== this.id))
+      .then(providers => {
+        if(providers.length === 0) {
+          downloadFromServer(partNumber, 'source')()
+        } else {
+          requestPart(partNumber, shuffleArray(providers)[0].id)
+        }
+      })
+      .catch(downloadFromServer(partNumber, 'source'))
+  }
+
+  var choices = media.nextPartsToDownload(nbParts)
+
+  choices.forEach(choice => {
+    if(choice.id === 'source' && typeof this.findProviders === 'function') {
+      // Nobody in the view has the part, the DHT may know other peers
+      lookupPart(choice.partNumber)
+    } else {
+      requestPart(choice.partNumber, choice.id)
+    }
   })
 }
 
@@ -180,7 +261,7 @@ var onrequesthead = function(message) {
  *
  * @param {Message.<media:part>} message - A part type message containing a
  *        chunk of media
- * @param {Array} message.data - Array containing a chunk of media
+ * @param {Chunk} message.data - A chunk of media
  */
 var onpart = function(message) {
   console.assert(this.files.has(message.url),
@@ -200,22 +281,45 @@ var onpart = function(message) {
  *
  * @param {Message.<media:request-part>} message - A request for a chunk of a
  *        media
+ * @param {string} message.data.url - URL of the media
+ * @param {number} message.data.number - Number of the requested part
  */
 var onrequestpart = function(message) {
-  var media = this.files.get(message.url)
-  var partNumber = message.number
+  var url = message.data.url
+  var partNumber = message.data.number
+  var media = this.files.get(url)
   var chunks = media.getChunkedPart(MediaPeer.chunkSize, partNumber)
   var numberOfChunks = chunks.length
   chunks.forEach((chunk, id) => {
     this.respondTo(message, {
       type: 'media:part',
-      number: message.number + ':' + id + ':' + numberOfChunks,
+      number: partNumber + ':' + id + ':' + numberOfChunks,
       data: chunk,
-      url: message.url
+      url: url
     })
   })
 }
 
+/**
+ * A connection failed: the parts requested to the remote peer will not be
+ * received. They are requested again to other peers (or to the server) and the
+ * remote peer is not considered as a source anymore.
+ *
+ * @param {Message.<connection:failed>} message
+ */
+var onconnectionfailed = function(message) {
+  var remote = message.from
+  this.files.forEach(media => {
+    delete media.remotes[remote]
+    var lostParts = media.parts
+          .filter(p => p.status === 'pending' && p.remote === remote)
+    lostParts.forEach(p => p.status = 'needed')
+    if(lostParts.length > 0) {
+      this.askForNextParts(media, lostParts.length)
+    }
+  })
+}
+
 /**
  * Parse the document and get all video elements
  *
@@ -240,7 +344,7 @@ var parseDocument = function() {
 /**
  * When a new part is received the MediaPeer will update the NodeDescriptor of
  * the peer in order to reflect this change on the partial views of other remote
- * peers
+ * peers. The parts are also announced in the DHT if the extension is set.
  *
  * @param {Message.<part>} message
  */
@@ -266,6 +370,10 @@ var updateGossipDescriptor = function(message) {
       value: parts
     }
   })
+
+  if(typeof this.announce === 'function') {
+    this.announce(message.url, parts)
+  }
 }
 
 /**
@@ -326,6 +434,12 @@ function MediaPeer(options) {
   this.on('media:part', updateGossipDescriptor)
 
   this.on('gossip:view-update', updateRemoteInformation)
+  this.on('connection:failed', onconnectionfailed)
+
+  this.on('peer:destroyed', () => {
+    this.files.forEach(media => media.destroy())
+    this.files.clear()
+  })
 
   this.files = new Map()
   this.askForNextParts = askForNextParts
@@ -26,7 +26,9 @@ import 'babelify/polyfill'
 import * as datachannel from './datachannel.js'
 import Peer from './peer.js'
 import PeerConnection from './peerConnection.js'
+import * as schema from './schema.js'
 import Signal from './signal.js'
+import * as signals from './signalList.js'
 import * as util from './util.js'
 
 var peer
@@ -36,7 +38,9 @@ export default {
   datachannel,
   Peer,
   PeerConnection,
+  schema,
   Signal,
+  signals,
   util,
   start,
   peer
@@ -67,3 +71,13 @@ function start(opts) {
  *           forwarded the message
  * @property {Object} [data] - Data of the message
  */
+
+/**
+ * @typedef {Function} Middleware
+ * @desc Function called with a message and a `next` callback. The middleware
+ *       can inspect or transform the message before giving it to `next`, call
+ *       `next` later to delay it or not call `next` at all to drop it.
+ * @param {Message} message
+ * @param {function(Message)} next
+ * @see Peer#use
+ */
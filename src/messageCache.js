@@ -0,0 +1,116 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+export default MessageCache
+
+/**
+ * Bounded cache remembering the ids of the messages a peer has already seen.
+ * When the cache is full the least recently seen id is evicted, and ids
+ * expire after `maxAge` milliseconds.
+ *
+ * @class MessageCache
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=MessageCache.maxSize] - Maximum number of
+ *        ids kept in the cache
+ * @param {number} [options.maxAge=MessageCache.maxAge] - Time in milliseconds
+ *        after which an id is forgotten
+ *
+ * @property {Map.<number>} entries - Time of the last sighting of each id.
+ *           The iteration order of the map is used as recency order.
+ * @property {number} maxSize
+ * @property {number} maxAge
+ */
+function MessageCache(options = {}) {
+  this.entries = new Map()
+  this.maxSize = options.maxSize || MessageCache.maxSize
+  this.maxAge = options.maxAge || MessageCache.maxAge
+}
+
+/**
+ * Default number of ids kept in the cache
+ *
+ * @name MessageCache.maxSize
+ * @type {number}
+ */
+MessageCache.maxSize = 1000
+
+/**
+ * Default time in milliseconds after which an id is forgotten
+ *
+ * @name MessageCache.maxAge
+ * @type {number}
+ */
+MessageCache.maxAge = 30000
+
+/**
+ * Removes the expired ids. The entries are ordered by time of sighting so
+ * only the head of the map has to be checked.
+ *
+ * @param {number} now
+ */
+var prune = function(now) {
+  var iterator = this.entries.entries()
+  for(var next = iterator.next(); !next.done; next = iterator.next()) {
+    let [ id, timestamp ] = next.value
+    if(now - timestamp < this.maxAge) {
+      return
+    }
+    this.entries.delete(id)
+  }
+}
+
+/**
+ * @function MessageCache#has
+ * @param {string} id - Id of a message
+ * @return {boolean} Whether the id has been seen recently
+ */
+MessageCache.prototype.has = function(id) {
+  prune.call(this, Date.now())
+  return this.entries.has(id)
+}
+
+/**
+ * Records the sighting of an id. The id becomes the most recent one.
+ *
+ * @function MessageCache#add
+ * @param {string} id - Id of a message
+ * @return {MessageCache} Current instance for chaining
+ */
+MessageCache.prototype.add = function(id) {
+  var now = Date.now()
+  prune.call(this, now)
+
+  this.entries.delete(id)
+  this.entries.set(id, now)
+  if(this.entries.size > this.maxSize) {
+    // Keys are iterated in insertion order: the first one is the oldest
+    this.entries.delete(this.entries.keys().next().value)
+  }
+  return this
+}
+
+/**
+ * @function MessageCache#clear
+ */
+MessageCache.prototype.clear = function() {
+  this.entries.clear()
+}
@@ -20,21 +20,44 @@
  */
 'use strict'
 
-import { messageIsValid } from './util.js'
+import { validate } from './schema.js'
 export default MessageEmitter
 
 /**
  * `Event emitter'-like for messages. A message is a JS object containing a
- * `type` attribute
+ * `type` attribute. Types are namespaced with colons (`media:part`) and
+ * listeners can subscribe to a whole namespace (`media:*`) or to every message
+ * (`*`).
  *
  * @interface MessageEmitter
  * @property {Map.<Set.<function(Message)>>} listeners - Set
  *           of listeners associated to message types
+ * @property {Map.<PendingRequest>} requests - Requests waiting for a reply
+ *           indexed by request id
  */
 function MessageEmitter() {
   this.listeners = new Map()
+  this.requests = new Map()
 }
 
+/**
+ * Default time (in milliseconds) given to a remote peer to answer a request
+ *
+ * @name MessageEmitter.requestTimeout
+ * @type {number}
+ * @see MessageEmitter#request
+ */
+MessageEmitter.requestTimeout = 5000
+
+/**
+ * @typedef PendingRequest
+ * @type {Object}
+ * @property {string} to - Id of the remote peer
+ * @property {Function} resolve - Called with the reply
+ * @property {Function} reject - Called with the error
+ * @property {number} timer - Id of the timeout of the request
+ */
+
 /**
  * Synonym of {@link MessageEmitter#on}
  *
@@ -43,12 +66,49 @@ function MessageEmitter() {
  */
 MessageEmitter.prototype.addListener = MessageEmitter.prototype.on
 
+/**
+ * Returns the subscriptions matching a message type: the type itself, the
+ * namespaces containing it and the `*` wildcard.
+ *
+ * @example
+ * matchingTypes('gossip:view-update')
+ * // => ['gossip:view-update', 'gossip:*', '*']
+ *
+ * @param {String} messageType
+ * @return {Array.<String>}
+ */
+var matchingTypes = function(messageType) {
+  var types = [messageType]
+  var parts = String(messageType).split(':')
+  for(var i = parts.length - 1; i > 0; i -= 1) {
+    types.push(parts.slice(0, i).join(':') + ':*')
+  }
+  if(messageType !== '*') {
+    types.push('*')
+  }
+  return types
+}
+
+/**
+ * Checks if a message type is contained in a namespace
+ *
+ * @param {String} messageType
+ * @param {String} namespace - Namespace ending with `:*` or `*`
+ * @return {boolean}
+ */
+var inNamespace = function(messageType, namespace) {
+  var prefix = namespace.slice(0, -1)
+  return messageType.indexOf(prefix) === 0
+}
+
 /**
  * Adds a listener function to the specified message type. Synonym of {@link
  * MessageEmitter#addEventListener}
  *
  * @function MessageEmitter#on
- * @param {String} messageType - Type of message the listener will handle
+ * @param {String} messageType - Type of message the listener will handle. Use
+ *        `namespace:*` to handle every message of a namespace and `*` to
+ *        handle every message
  * @param {Function} listener - Method called when the message is emitted
  * @return {MessageEmitter} Current instance for chaining purposes
  */
@@ -71,8 +131,8 @@ MessageEmitter.prototype.on = function(messageType, listener) {
  */
 MessageEmitter.prototype.once = function(messageType, listener) {
   var autodestroy = message => {
-    listener(message)
     this.removeListener(messageType, autodestroy)
+    return listener.call(this, message)
   }
   this.on(messageType, autodestroy)
   return this
@@ -104,35 +164,216 @@ MessageEmitter.prototype.removeAllListeners = function(messageType) {
   if(typeof messageType === 'undefined') {
     this.listeners.clear()
   } else {
-    if(!this.listeners.has(messageType)) {
-      this.listeners.get(messageType).clear()
-    }
+    this.listeners.delete(messageType)
   }
   return this
 }
 
+/**
+ * Removes listeners. With a namespace (`media:*` or `*`) the listeners of
+ * every type contained in the namespace are removed too. Without listener
+ * every listener of the type (or namespace) is removed.
+ *
+ * @example
+ * peer.off('media:*') // Removes every listener of the media extension
+ * peer.off('gossip:*', monitor) // Stops monitoring the gossip messages
+ *
+ * @function MessageEmitter#off
+ * @param {String} [messageType] - Type of message or namespace. Every
+ *        listener is removed if it is not given.
+ * @param {Function} [listener] - Listener that should be removed
+ * @return {MessageEmitter} Current instance for chaining
+ */
+MessageEmitter.prototype.off = function(messageType, listener) {
+  if(typeof messageType === 'undefined') {
+    return this.removeAllListeners()
+  }
+
+  var types = [messageType]
+  if(messageType[messageType.length - 1] === '*') {
+    types = []
+    this.listeners.forEach((set, type) => {
+      if(inNamespace(type, messageType)) {
+        types.push(type)
+      }
+    })
+  }
+
+  types.forEach(type => {
+    if(typeof listener === 'undefined') {
+      this.removeAllListeners(type)
+    } else {
+      this.removeListener(type, listener)
+    }
+  })
+  return this
+}
+
+/**
+ * Checks if a message of the given type would reach at least one listener,
+ * through its own type or a namespace containing it (including `*`)
+ *
+ * @param {String} messageType
+ * @return {boolean}
+ */
+var isListened = function(messageType) {
+  return matchingTypes(messageType)
+    .some(type => this.listenerCount(type) > 0)
+}
+
+/**
+ * Reports the failure of a listener with an `error` message. The error is only
+ * logged if nobody listens to `error` messages or if the failing listener was
+ * itself handling an error.
+ *
+ * @param {Message} message - Message given to the listener
+ * @param {Function} listener - Listener which failed
+ * @param {Error} error - Thrown error or reason of the rejected promise
+ */
+var reportError = function(message, listener, error) {
+  if(message.type === 'error' || !isListened.call(this, 'error')) {
+    console.error('Listener of ' + message.type + ' failed', error)
+    return
+  }
+
+  this.dispatchMessage({
+    type: 'error',
+    from: 'self',
+    to: 'self',
+    data: {
+      message: message,
+      listener: listener.name,
+      error: error
+    }
+  })
+}
+
+/**
+ * @param {string} text - Message of the error
+ * @param {string} reason - Why the request failed: `timeout`,
+ *        `connection-lost` or `destroyed`
+ * @return {Error} Error rejecting a request
+ */
+var requestError = function(text, reason) {
+  var error = new Error(text)
+  error.reason = reason
+  return error
+}
+
+/**
+ * Settles the pending requests affected by a message: the request answered by
+ * the message is resolved and the requests sent to a peer which is now
+ * disconnected are rejected. Every pending request is rejected when the peer
+ * is destroyed.
+ *
+ * @param {Message} message
+ */
+var settleRequests = function(message) {
+  var requests = this.requests
+
+  if(requests.has(message.inReplyTo)) {
+    let pending = requests.get(message.inReplyTo)
+    requests.delete(message.inReplyTo)
+    clearTimeout(pending.timer)
+    pending.resolve(message)
+  }
+
+  var lost = [
+    'disconnected',
+    'connection:failed',
+    'request-peer:reject',
+    'peer:destroyed'
+  ]
+  if(lost.indexOf(message.type) !== -1) {
+    requests.forEach((pending, requestId) => {
+      if(message.type === 'peer:destroyed') {
+        requests.delete(requestId)
+        clearTimeout(pending.timer)
+        pending.reject(requestError('Peer destroyed', 'destroyed'))
+      } else if(pending.to === message.from) {
+        requests.delete(requestId)
+        clearTimeout(pending.timer)
+        pending.reject(requestError('Connection with ' + pending.to + ' lost',
+                                    'connection-lost'))
+      }
+    })
+  }
+}
+
 /**
  * Disptaches the message activating all the listeners of the instance attached
- * to the message type
+ * to the message type. Messages which do not follow the schema of their type
+ * are not dispatched, a `message:invalid` message is emitted instead.
+ *
+ * Listeners are isolated from each other: a listener throwing an error (or
+ * returning a rejected promise) does not prevent the other listeners from
+ * being called. The failure is reported with an `error` message containing
+ * the original message, the name of the listener and the error.
  *
  * @function MessageEmitter#dispatchMessage
  * @param {Object} message - Message that should be emitted
  * @return {MessageEmitter} Current instance for chaining
+ * @see module:schema
  */
 MessageEmitter.prototype.dispatchMessage = function(message) {
-  var type = message.type
+  var errors = validate(message)
 
-  if(messageIsValid(message) && this.listeners.has(type)) {
-    this.listeners.get(type).forEach(listener => listener.call(this, message))
+  if(errors.length > 0) {
+    return this.dispatchMessage({
+      type: 'message:invalid',
+      from: 'self',
+      to: 'self',
+      data: { message, errors }
+    })
   }
+
+  settleRequests.call(this, message)
+
+  // A listener subscribed to several matching types is only called once
+  var listeners = new Set()
+  matchingTypes(message.type).forEach(type => {
+    if(this.listeners.has(type)) {
+      this.listeners.get(type).forEach(listener => listeners.add(listener))
+    }
+  })
+
+  listeners.forEach(listener => {
+    var report = error => reportError.call(this, message, listener, error)
+    try {
+      var result = listener.call(this, message)
+      // Asynchronous listener
+      if(result && typeof result.then === 'function') {
+        result.then(null, report)
+      }
+    } catch(error) {
+      report(error)
+    }
+  })
   return this
 }
 
 /**
+ * Counts the listeners of the emitter. With a type, only the subscriptions
+ * made with exactly this key are counted: listeners of a namespace containing
+ * the type (like `gossip:*` or `*`) are not included even if they would be
+ * called for a message of this type.
+ *
+ * @example
+ * emitter.on('*', log)
+ * emitter.listenerCount('gossip:view-update') // => 0
+ * emitter.listenerCount('*') // => 1
+ *
  * @function MessageEmitter#listenerCount
+ * @param {String} [messageType] - Only count the listeners attached to this
+ *        exact type (or namespace)
  * @return {number} the number of listeners added to the emitter
  */
-MessageEmitter.prototype.listenerCount = function() {
+MessageEmitter.prototype.listenerCount = function(messageType) {
+  if(typeof messageType !== 'undefined') {
+    return this.listeners.has(messageType) ?
+      this.listeners.get(messageType).size : 0
+  }
+
   var sum = 0
   // Map does not have #reduce or #map functions
   this.listeners.forEach(function(value) {
@@ -141,6 +382,63 @@ MessageEmitter.prototype.listenerCount = function() {
   return sum
 }
 
+/**
+ * Sends a request to a remote peer and waits for its reply. The request
+ * carries a `requestId` and the reply is identified by its `inReplyTo`
+ * property (set automatically by {@link Peer#respondTo}). The reply is still
+ * dispatched to the listeners of its type.
+ *
+ * @example
+ * peer.request(remote, 'media:request-part', { url, number: 3 })
+ *   .then(part => console.log('First chunk received', part))
+ *   .catch(error => console.error('No answer from', remote, error))
+ *
+ * @function MessageEmitter#request
+ * @param {string} to - Id of the remote peer
+ * @param {string} type - Type of the request message
+ * @param {any} data - Data of the request message
+ * @param {Object} [options]
+ * @param {number} [options.timeout=MessageEmitter.requestTimeout] - Time
+ *        after which the request is rejected if no reply was received
+ * @return {Promise.<Message>} Resolved with the first reply. Rejected on
+ *         timeout, if the connection with the remote peer is lost or if the
+ *         peer is destroyed, with an Error whose `reason` is `timeout`,
+ *         `connection-lost` or `destroyed`.
+ */
+MessageEmitter.prototype.request = function(to, type, data, options = {}) {
+  var timeout = options.hasOwnProperty('timeout') ?
+        options.timeout :
+        MessageEmitter.requestTimeout
+  var requestId = Date.now().toString(36) +
+        Math.random().toString(36).slice(2)
+
+  return new Promise((resolve, reject) => {
+    var timer = setTimeout(() => {
+      this.requests.delete(requestId)
+      reject(requestError('Request ' + type + ' to ' + to + ' timed out',
+                          'timeout'))
+    }, timeout)
+    this.requests.set(requestId, { to, resolve, reject, timer })
+
+    try {
+      // Queued requests are dropped with the timeout of the request
+      this.send({
+        type: type,
+        from: this.id,
+        to: to,
+        data: data,
+        ttl: this.ttl,
+        forwardBy: [],
+        requestId: requestId
+      }, timeout)
+    } catch(error) {
+      this.requests.delete(requestId)
+      clearTimeout(timer)
+      reject(error)
+    }
+  })
+}
+
 /**
  * Transmit a message so it can be dispatched to another (possibly distant)
  * MessageEmitter
@@ -21,11 +21,14 @@
 'use strict'
 
 import MessageEmitter from './messageEmitter.js'
+import MessageCache from './messageCache.js'
 import PeerConnection from './peerConnection.js'
-import Signal from './signal.js'
-import { contains, messageIsValid } from './util.js'
+import { channels, channelOf } from './datachannel.js'
+import * as signals from './signalList.js'
+import { contains } from './util.js'
+import { validate } from './schema.js'
 import * as extensions from './extensions/list.js'
-import { partition } from 'ramda'
+import { assoc, assocPath, merge, partition } from 'ramda'
 export default Peer
 
 /**
@@ -35,15 +38,6 @@ export default Peer
 var RTCIceCandidate =
     window.RTCIceCandidate ||
     window.mozRTCIceCandidate
-/**
- * @external RTCSessionDescription
- * @see https://w3c.github.io/webrtc-pc/#rtcsessiondescription-class
- */
-var RTCSessionDescription =
-    window.RTCSessionDescription ||
-    window.mozRTCSessionDescription ||
-    window.webkitRTCSessionDescription
-
 /**
  * A peer holds the information for connections with the mesh, and info about
  * possessed files. It communicates with other peers through a messaging system.
@@ -53,14 +47,64 @@ var RTCSessionDescription =
  * @class Peer
  * @implements {MessageEmitter}
  * @param {Object} options - Configuration options
+ * @param {Object} options.signal - Options of the signaling system. The
+ *        transport is selected with `options.signal.type`
+ * @see module:signals~create
+ * @param {Object} [options.peer] - Options of the peer
+ * @param {Array.<Object>} [options.peer.iceServers] - STUN and TURN servers
+ *        replacing the default ones
+ * @param {string} [options.peer.iceTransportPolicy] - `all` or `relay` to
+ *        only use TURN servers
+ * @param {Function} [options.peer.credentialProvider] - Called with the id of
+ *        the remote peer before each negotiation. Returns (a promise of) an
+ *        array of additional ICE servers, typically TURN servers with
+ *        short-lived credentials
+ * @param {boolean} [options.peer.unorderedBulk=false] - Do not enforce the
+ *        order of delivery on the channel carrying media parts
+ * @param {number} [options.peer.cacheSize] - Number of message ids remembered
+ *        to detect duplicates
+ * @param {number} [options.peer.cacheExpiry] - Time in milliseconds during
+ *        which a message id is remembered
+ * @param {number} [options.peer.maxConnections=Infinity] - Maximum number of
+ *        connections with remote peers
+ * @param {string} [options.peer.evictionPolicy='lru'] - How to choose the idle
+ *        connection closed to make room for a new one
+ * @see Peer.evictionPolicies
+ * @param {number} [options.peer.idleTimeout] - Time in milliseconds without
+ *        activity after which a connection can be evicted
  *
  * @property {string} id - Id of the peer
+ * @property {external:RTCConfiguration} rtcConfiguration - Configuration of
+ *           the PeerConnections
+ * @property {Function} [credentialProvider] - Source of ICE servers with
+ *           short-lived credentials
+ * @property {Object.<Object>} channels - Options of the DataChannels opened
+ *           for each connection
+ * @see module:datachannel~channels
  * @property {Map.<PeerConnection>} connections - Connections indexed by remote
  *           peer id
  * @property {Map.<Set.<external:RTCIceCandidate>>} icecandidates - Store
  *           ICECandidates for a connection if it's not active yet
  * @property {number} ttl - `Time To Live' of a message
+ * @property {number} maxHops - Hop limit of the routed messages
  * @property {Array.<Message>} queue - Message queue
+ * @property {number} queueInterval - Id of the interval processing the queue
+ * @property {number} connectionTimeout - Time given to a connection to open
+ * @property {number} maxConnections - Maximum number of connections
+ * @property {string} evictionPolicy - Name of the eviction policy
+ * @property {number} idleTimeout - Inactivity needed before eviction
+ * @property {Object.<Array.<Middleware>>} middlewares - Middlewares applied to
+ *           the `inbound` and `outbound` messages
+ * @property {number} messageCount - Number of messages sent by the peer, used
+ *           to build unique message ids
+ * @property {string} messagePrefix - Random prefix of the ids of the messages
+ *           sent by the peer. The id of the peer can not be used as it is
+ *           unknown until the `first-view` message is received.
+ * @property {MessageCache} seenMessages - Ids of the messages already seen
+ * @property {Object} stats - Counters of the peer
+ * @property {number} stats.duplicates - Number of suppressed duplicates
+ * @property {Object.<number>} stats.duplicatesByType - Number of suppressed
+ *           duplicates indexed by message type
  */
 function Peer(options) {
   if(!(this instanceof Peer)) {
@@ -70,6 +114,14 @@ function Peer(options) {
 
   MessageEmitter.call(this)
 
+  this.rtcConfiguration = PeerConnection.defaultConfiguration
+  this.channels = channels
+  this.maxConnections = Peer.maxConnections
+  this.evictionPolicy = Peer.evictionPolicy
+  this.idleTimeout = Peer.idleTimeout
+  this.connectionTimeout = Peer.connectionTimeout
+  var cacheOptions = {}
+
   if(typeof options !== 'undefined') {
 
     if(options.hasOwnProperty('extensions')) {
@@ -82,31 +134,93 @@ function Peer(options) {
         Peer.ttl = options.peer.ttl
       }
 
-      if(options.hasOwnProperty('queueTimeout')) {
+      if(options.peer.hasOwnProperty('queueTimeout')) {
         Peer.queueTimeout = options.peer.queueTimeout
       }
+
+      if(options.peer.hasOwnProperty('connectionTimeout')) {
+        this.connectionTimeout = options.peer.connectionTimeout
+      }
+
+      if(options.peer.hasOwnProperty('iceServers')) {
+        this.rtcConfiguration =
+          assoc('iceServers', options.peer.iceServers, this.rtcConfiguration)
+      }
+
+      if(options.peer.hasOwnProperty('iceTransportPolicy')) {
+        let policy = options.peer.iceTransportPolicy
+        this.rtcConfiguration = merge(this.rtcConfiguration, {
+          iceTransportPolicy: policy,
+          iceTransports: policy
+        })
+      }
+
+      if(options.peer.hasOwnProperty('unorderedBulk')) {
+        this.channels = assocPath(['bulk', 'ordered'],
+                                  !options.peer.unorderedBulk,
+                                  this.channels)
+      }
+
+      if(options.peer.hasOwnProperty('maxConnections')) {
+        this.maxConnections = options.peer.maxConnections
+      }
+
+      if(options.peer.hasOwnProperty('evictionPolicy')) {
+        let policy = options.peer.evictionPolicy
+        if(!Peer.evictionPolicies.hasOwnProperty(policy)) {
+          throw new Error('Unknown eviction policy: ' + policy)
+        }
+        this.evictionPolicy = policy
+      }
+
+      if(options.peer.hasOwnProperty('idleTimeout')) {
+        this.idleTimeout = options.peer.idleTimeout
+      }
+
+      if(options.peer.hasOwnProperty('cacheSize')) {
+        cacheOptions.maxSize = options.peer.cacheSize
+      }
+
+      if(options.peer.hasOwnProperty('cacheExpiry')) {
+        cacheOptions.maxAge = options.peer.cacheExpiry
+      }
+
+      if(options.peer.hasOwnProperty('credentialProvider')) {
+        this.credentialProvider = options.peer.credentialProvider
+      }
     }
   }
 
   // Set signaling system
-  var signal = new Signal(this, options.signal)
+  var signal = signals.create(this, options.signal)
 
   // Will hold the peers when a connection is created
   this.connections = new Map()
   this.icecandidates = new Map()
   this.ttl = Peer.ttl
+  this.maxHops = Peer.maxHops
   this.queue = []
+  this.middlewares = { inbound: [], outbound: [] }
+  this.messageCount = 0
+  this.messagePrefix = Date.now().toString(36) +
+    Math.random().toString(36).slice(2)
+  this.seenMessages = new MessageCache(cacheOptions)
+  this.stats = { duplicates: 0, duplicatesByType: {} }
 
   this.connections.set('signal', signal)
-  window.setInterval(processQueue.bind(this), Peer.queueTimeout)
+  this.queueInterval =
+    window.setInterval(processQueue.bind(this), Peer.queueTimeout)
 
   // Message Handlers
   this.on('offer', onoffer)
   this.on('answer', onanswer)
   this.on('icecandidate', onicecandidate)
   this.on('request-peer', onrequestpeer)
+  this.on('request-peer:reject', onrequestpeerreject)
   this.on('first-view', onfirstview)
   this.on('connected', onconnected)
+  this.on('connection:failed', onconnectionlost)
+  this.on('disconnected', onconnectionlost)
 }
 
 Peer.prototype = Object.create(MessageEmitter.prototype)
@@ -119,6 +233,17 @@ Peer.prototype = Object.create(MessageEmitter.prototype)
  */
 Peer.ttl = 3
 
+/**
+ * Maximum number of hops of a message routed by a structured overlay (see
+ * {@link Peer#nextHop}). Routed messages get closer to their recipient at
+ * each hop so they do not use the ttl of flooded messages, this limit only
+ * protects against inconsistent routing tables.
+ *
+ * @name Peer.maxHops
+ * @type {number}
+ */
+Peer.maxHops = 32
+
 /**
  * Queue check timeout
  *
@@ -127,6 +252,58 @@ Peer.ttl = 3
  */
 Peer.queueTimeout = 1000
 
+/**
+ * Time in milliseconds after which a connection still negotiating (or
+ * disconnected) is considered failed
+ *
+ * @name Peer.connectionTimeout
+ * @type {number}
+ */
+Peer.connectionTimeout = 10000
+
+/**
+ * Maximum number of connections with remote peers (the signaling system is
+ * not counted)
+ *
+ * @name Peer.maxConnections
+ * @type {number}
+ */
+Peer.maxConnections = Infinity
+
+/**
+ * Scores used to select the connection evicted when the peer has reached its
+ * maximum number of connections. The idle connection with the lowest score is
+ * closed:<ul>
+ * <li>`lru`: the least recently used connection
+ * <li>`contribution`: the connection which brought the least data
+ * <li>`oldest`: the oldest connection</ul>
+ *
+ * @name Peer.evictionPolicies
+ * @type {Object.<function(PeerConnection): number>}
+ */
+Peer.evictionPolicies = {
+  lru: connection => connection.lastActivity,
+  contribution: connection => connection.bytesReceived,
+  oldest: connection => connection.createdAt
+}
+
+/**
+ * Default eviction policy
+ *
+ * @name Peer.evictionPolicy
+ * @type {string}
+ */
+Peer.evictionPolicy = 'lru'
+
+/**
+ * Time in milliseconds without message after which a connection is idle and
+ * can be evicted
+ *
+ * @name Peer.idleTimeout
+ * @type {number}
+ */
+Peer.idleTimeout = 30000
+
 /**
  * @param {Array.<DataConnection>} connections - Available connections
  * @param {Message} message - Message to be broadcasted
@@ -143,7 +320,7 @@ var broadcast = function(connections, message) {
     if(peerId !== 'signal' &&
        !contains(peerId, from) &&
        connection.status === 'open') {
-      connection.send(message)
+      connection.send(message, channelOf(message))
       targets += 1
     }
   })
@@ -159,33 +336,40 @@ var broadcast = function(connections, message) {
  * Two solutions: The peer has the recipient as neighbour or we need to
  * broadcast the message.
  *
- * @function Peer#send
  * @param {Message} message - information to be sent
  * @param {number} [timeout] - Time after which the message will be removed from
- *        the queue. If a callback was provided ti will be called
+ *        the queue
  * @param {Function} [callback] - Function executed when the timeout is reached
  */
-Peer.prototype.send = function(message, timeout, callback) {
-
-  if(!messageIsValid(message)) {
-    throw new Error('Message object is invalid')
-  }
-
+var route = function(message, timeout, callback) {
   var to = message.to
-  var forwardableTypes = ['icecandidate', 'request-peer', 'offer', 'answer']
+  var forwardableTypes = [
+    'icecandidate',
+    'request-peer',
+    'request-peer:reject',
+    'offer',
+    'answer'
+  ]
+  var isBroadcast = to === -1 || to === '-1'
+  var hop = to === this.id || isBroadcast ? undefined : this.nextHop(message)
 
   if(to === this.id) {
     // Message for itself
     this.dispatchMessage(message)
-  } if(this.connections.has(to) && this.connections.get(to).status === 'open') {
+  } else if(this.connections.has(to) &&
+            this.connections.get(to).status === 'open') {
     // Node is already connected to desired recipient
-    this.connections.get(to).send(message)
+    this.connections.get(to).send(message, channelOf(message))
   } else if(Array.isArray(message.route) &&
             this.connections.has(message.route[0])) {
     // The message knows some route
-    // TODO Replace with Cord like lookup
     to = message.route.shift()
-    this.connections.get(to).send(message)
+    this.connections.get(to).send(message, channelOf(message))
+  } else if(typeof hop !== 'undefined' &&
+            this.connections.has(hop) &&
+            this.connections.get(hop).status === 'open') {
+    // A structured overlay knows a neighbour closer to the recipient
+    this.connections.get(hop).send(message, channelOf(message))
   } else if(contains(message.type, forwardableTypes)) {
     // Message is connection related and should be forwarded
     broadcast(this.connections, message)
@@ -198,13 +382,257 @@ Peer.prototype.send = function(message, timeout, callback) {
 }
 
 /**
- * Send a new request for peers to everyone
+ * Passes the message through the middlewares of a stage. Each middleware
+ * gives the (possibly transformed) message to the next one by calling `next`.
+ * The message is dropped if a middleware never calls `next`.
+ *
+ * @param {string} stage - `inbound` or `outbound`
+ * @param {Message} message
+ * @param {Function} done - Called with the message once every middleware has
+ *        been applied
+ */
+var applyMiddlewares = function(stage, message, done) {
+  var middlewares = this.middlewares[stage]
+  var step = (index, current) => {
+    if(index === middlewares.length) {
+      done(current)
+    } else {
+      middlewares[index].call(this, current, next => step(index + 1, next))
+    }
+  }
+  step(0, message)
+}
+
+/**
+ * Adds middlewares to the message pipelines of the peer. `inbound`
+ * middlewares see the messages received from the network (DataChannels and
+ * signaling system) before they are dispatched, `outbound` middlewares see the
+ * messages given to {@link Peer#send} before they are routed. Messages
+ * forwarded for other peers go through neither of them (see {@link
+ * Peer#forward}). Middlewares are applied in the order they were added.
+ *
+ * @example
+ * peer.use({
+ *   inbound: function(message, next) {
+ *     console.log('received', message.type)
+ *     next(message)
+ *   },
+ *   outbound: function(message, next) {
+ *     // Delay every message
+ *     setTimeout(() => next(message), 100)
+ *   }
+ * })
+ *
+ * @function Peer#use
+ * @param {Object} middleware
+ * @param {Middleware} [middleware.inbound] - Applied to received messages
+ * @param {Middleware} [middleware.outbound] - Applied to sent messages
+ * @return {Peer} Current instance for chaining
+ */
+Peer.prototype.use = function(middleware) {
+  ['inbound', 'outbound'].forEach(stage => {
+    if(typeof middleware[stage] === 'function') {
+      this.middlewares[stage].push(middleware[stage])
+    }
+  })
+  return this
+}
+
+/**
+ * Selects the neighbour a message should be given to when the recipient is
+ * not directly connected. Routing extensions (like {@link DHT}) override this
+ * method, the default one knows no route.
+ *
+ * @function Peer#nextHop
+ * @param {Message} message - Message to be routed
+ * @return {(string|undefined)} Id of a connected peer closer to the recipient
+ */
+Peer.prototype.nextHop = function() {
+  return undefined
+}
+
+/**
+ * Handles a message received from the network: it goes through the inbound
+ * middlewares before being dispatched.
+ *
+ * @function Peer#receive
+ * @param {Message} message - Message received from a remote peer
+ */
+Peer.prototype.receive = function(message) {
+  applyMiddlewares.call(this, 'inbound', message,
+                        result => this.dispatchMessage(result))
+}
+
+/**
+ * Only the messages which can reach the peer through several paths are
+ * remembered, so that direct messages (replies, media parts) do not push the
+ * flooded ones out of the cache.
+ *
+ * @param {Message} message - Message received from the network
+ * @return {boolean} true if the message is a broadcast, has to be forwarded or
+ *         has already been forwarded by other peers
+ */
+var mayBeCopied = function(message) {
+  var to = message.to
+  return to === -1 || to === '-1' || to !== this.id ||
+    (Array.isArray(message.forwardBy) && message.forwardBy.length > 0)
+}
+
+/**
+ * Checks if a message received from the network has already been seen. The
+ * id of the message is remembered and the duplicates are counted in {@link
+ * Peer#stats}. Messages without id, and messages sent directly to the peer by
+ * a neighbour, are never considered as duplicates.
+ *
+ * @function Peer#isDuplicate
+ * @param {Message} message
+ * @return {boolean} true if the message should be ignored
+ */
+Peer.prototype.isDuplicate = function(message) {
+  var id = message.messageId
+  if(typeof id === 'undefined' || !mayBeCopied.call(this, message)) {
+    return false
+  }
+
+  if(this.seenMessages.has(id)) {
+    var byType = this.stats.duplicatesByType
+    this.stats.duplicates += 1
+    byType[message.type] = (byType[message.type] || 0) + 1
+    return true
+  }
+
+  this.seenMessages.add(id)
+  return false
+}
+
+/**
+ * Use the connections to send a message to a remote peer. The message goes
+ * through the outbound middlewares before being routed. New messages are
+ * stamped with a unique id so that the copies flooded on the network can be
+ * detected. The id is only remembered if the message is not sent directly to
+ * a neighbour, otherwise no copy can come back.
+ *
+ * @function Peer#send
+ * @param {Message} message - information to be sent
+ * @param {number} [timeout] - Time after which the message will be removed from
+ *        the queue. If a callback was provided ti will be called
+ * @param {Function} [callback] - Function executed when the timeout is reached
+ */
+Peer.prototype.send = function(message, timeout, callback) {
+
+  var errors = validate(message)
+  if(errors.length > 0) {
+    throw new Error('Message object is invalid: ' + errors.join(', '))
+  }
+
+  if(typeof message.messageId === 'undefined') {
+    let neighbour = this.connections.get(message.to)
+    this.messageCount += 1
+    message.messageId = this.messagePrefix + ':' + this.messageCount
+    if(typeof neighbour === 'undefined' || neighbour.status !== 'open') {
+      // Copies coming back to us will be ignored
+      this.seenMessages.add(message.messageId)
+    }
+  }
+
+  applyMiddlewares.call(this, 'outbound', message,
+                        result => route.call(this, result, timeout, callback))
+}
+
+/**
+ * @return {Array.<string>} Ids of the remote peers with a connection
+ */
+var remotePeers = function() {
+  var remotes = []
+  this.connections.forEach((connection, id) => {
+    if(id !== 'signal') {
+      remotes.push(id)
+    }
+  })
+  return remotes
+}
+
+/**
+ * Chooses the connection to close with the eviction policy. Only idle
+ * connections can be evicted, connections with queued messages are not idle.
+ *
+ * @return {(string|undefined)} Id of the remote peer of the connection or
+ *         undefined if no connection is idle
+ */
+var evictionCandidate = function() {
+  var now = Date.now()
+  var score = Peer.evictionPolicies[this.evictionPolicy]
+  var idle = remotePeers.call(this).filter(id => {
+    var connection = this.connections.get(id)
+    return connection.status === 'open' &&
+      now - connection.lastActivity >= this.idleTimeout &&
+      !this.queue.some(elt => elt.message.to === id)
+  })
+
+  if(idle.length === 0) {
+    return undefined
+  }
+
+  return idle.reduce((a, b) => {
+    return score(this.connections.get(b)) < score(this.connections.get(a)) ?
+      b : a
+  })
+}
+
+/**
+ * Checks if a new connection could be opened, either because the peer is
+ * below its maximum number of connections or because a connection could be
+ * evicted. Nothing is closed.
+ *
+ * @return {boolean}
+ */
+var hasRoom = function() {
+  return remotePeers.call(this).length < this.maxConnections ||
+    typeof evictionCandidate.call(this) !== 'undefined'
+}
+
+/**
+ * Makes sure a new connection can be opened. It is called when a connection
+ * is accepted: if the peer has reached its maximum number of connections, an
+ * idle connection is chosen with the eviction policy and closed.
+ *
+ * @return {boolean} false if there is no room for a new connection
+ */
+var makeRoom = function() {
+  if(remotePeers.call(this).length < this.maxConnections) {
+    return true
+  }
+
+  var evicted = evictionCandidate.call(this)
+  if(typeof evicted === 'undefined') {
+    return false
+  }
+
+  this.closeConnection(evicted)
+  this.dispatchMessage({
+    type: 'disconnected',
+    from: evicted,
+    to: this.id,
+    data: { reason: 'evicted' }
+  })
+  return true
+}
+
+/**
+ * Send a new request for peers to everyone. Nothing is sent if the peer
+ * has reached its maximum number of connections and no connection can be
+ * evicted. The eviction itself only happens if the remote peer answers with
+ * an offer.
  *
  * @function Peer#requestPeer
  * @param {string} [to='-1'] - To whom the node needs to open a connection. '-1'
  *        means no particular peer
  */
 Peer.prototype.requestPeer = function(to='-1') {
+  if(!this.connections.has(to) && !hasRoom.call(this)) {
+    return
+  }
+
   this.send({
     type: 'request-peer',
     from: this.id,
@@ -215,7 +643,9 @@ Peer.prototype.requestPeer = function(to='-1') {
 }
 
 /**
- * Extract information to define an answer message
+ * Extract information to define an answer message. If the original message
+ * is a request (see {@link MessageEmitter#request}) the answer is marked as
+ * its reply.
  *
  * @function Peer#respondTo
  * @param {Message} message - Original message
@@ -227,20 +657,86 @@ Peer.prototype.respondTo = function(message, answer) {
   answer.ttl = this.ttl
   answer.forwardBy = []
   answer.route = message.forwardBy
+  if(typeof message.requestId !== 'undefined') {
+    answer.inReplyTo = message.requestId
+  }
   this.send(answer)
 }
 
 /**
  * When the node receives a message for someone else it decrease the ttl by one
- * and forwards it
+ * and forwards it. The message is dropped once its ttl is exhausted. Messages
+ * routed by a structured overlay (see {@link Peer#nextHop}) keep their ttl:
+ * they are only limited by {@link Peer#maxHops}.
+ *
+ * The message is relayed as received: it goes through neither the inbound nor
+ * the outbound middlewares, which only see the messages of the peer itself.
  *
  * @function Peer#forward
  * @param {Message} message - message to be forwarded
  */
 Peer.prototype.forward = function(message) {
-  message.ttl -= 1
+  var routed = typeof this.nextHop(message) !== 'undefined'
+  var exhausted = routed ?
+        message.forwardBy.length >= this.maxHops :
+        !(message.ttl > 0)
+
+  if(exhausted) {
+    return
+  } else if(!routed) {
+    message.ttl -= 1
+  }
   message.forwardBy.push(this.id)
-  this.send(message)
+  route.call(this, message)
+}
+
+/**
+ * Closes every connection of the peer (including the signaling system), stops
+ * the processing of the queue and drops pending messages. A final
+ * `peer:destroyed` message is dispatched so extensions can release their own
+ * resources (workers, media sources...) before every listener is removed.
+ *
+ * @function Peer#destroy
+ */
+Peer.prototype.destroy = function() {
+  window.clearInterval(this.queueInterval)
+
+  this.connections.forEach(connection => connection.close())
+  this.connections.clear()
+  this.icecandidates.clear()
+  this.queue = []
+  this.seenMessages.clear()
+
+  this.dispatchMessage({
+    type: 'peer:destroyed',
+    from: 'self',
+    to: 'self'
+  })
+  this.removeAllListeners()
+}
+
+/**
+ * Closes the connection with a remote peer and forgets about it
+ *
+ * @function Peer#closeConnection
+ * @param {string} remote - Id of the remote peer
+ * @param {PeerConnection} [connection] - Connection to close. If it is not
+ *        the one currently stored for the remote peer, the stored connection
+ *        is left untouched
+ */
+Peer.prototype.closeConnection = function(remote, connection) {
+  if(typeof connection === 'undefined') {
+    connection = this.connections.get(remote)
+  }
+  if(typeof connection === 'undefined') {
+    return
+  }
+
+  connection.close()
+  if(this.connections.get(remote) === connection) {
+    this.connections.delete(remote)
+    this.icecandidates.delete(remote)
+  }
 }
 
 /**
@@ -253,23 +749,20 @@ Peer.prototype.forward = function(message) {
  *        needed to set up the connection
  */
 var onanswer = function(message) {
-  //TODO Move logic to peerConection
-  //TODO Check status in PeerConnection
   var from = message.from
-  var answer = new RTCSessionDescription(message.data)
-  var status = this.connections.get(from).status
+  var connection = this.connections.get(from)
 
-  // TODO Assert should check the connection status RTCSignalingState which can
-  // be stable, have-local-offer, have-remote-offer, have-local-pranswer,
+  // TODO Check the connection's RTCSignalingState which can be stable,
+  // have-local-offer, have-remote-offer, have-local-pranswer,
   // have-remote-pranswer or closed
-  console.assert(
-    this.connections.has(from) && status === 'connecting',
-    'Error while connecting to node ' + from + ' : status ' + status)
-
-  this.connections.get(from).setRemoteDescription(
-    answer,
-    function() {}, // Do nothing, we have to wait for the datachannel to open
-    e => { throw e })
+  if(typeof connection === 'undefined' || connection.status !== 'connecting') {
+    console.error('Unexpected answer from node ' + from)
+    return
+  }
+
+  // Nothing to do on success, we have to wait for the datachannel to open
+  connection.setSDPAnswer(message.data)
+    .catch(() => this.closeConnection(from, connection))
 }
 
 /**
@@ -291,15 +784,29 @@ var onicecandidate = function(message) {
     }
   } else {
     // The connection already exists
-    this.connections.get(from).addIceCandidate(
-      candidate,
-      function() {},
-      e => { throw e })
+    this.connections.get(from).addRemoteCandidate(candidate)
   }
 }
 
 /**
- * Extract the SDPOffer from the received message and respond with a SDPAnswer
+ * Checks if the peer should yield when both peers sent an offer to each other
+ * at the same time (glare). The peer with the lowest id is "impolite": it
+ * keeps its own offer and ignores the remote one. The other peer is "polite":
+ * it drops its offer and answers the remote one. Both peers take the same
+ * decision so only one connection survives.
+ *
+ * @param {string} remote - Id of the remote peer
+ * @return {boolean} true if the peer is the polite one
+ */
+var isPolite = function(remote) {
+  return String(this.id) > String(remote)
+}
+
+/**
+ * Extract the SDPOffer from the received message and respond with a SDPAnswer.
+ * If the negotiation fails the connection is closed. If the peer is already
+ * negotiating its own offer with the remote peer, the conflict is resolved
+ * with {@link isPolite}.
  *
  * @param {Message} message - An offer type message containing the remote peer's
  *        SDPOffer
@@ -307,65 +814,103 @@ var onicecandidate = function(message) {
 var onoffer = function(message) {
   var remotePeer = message.from
   var remoteSDP = message.data
-  var peerConnection = new PeerConnection(this, remotePeer)
-  /** Add ICE Candidates if they exist */
-  var addIceCandidate = function(remotePeer, peerConnection) {
-    if(this.icecandidates.has(remotePeer)) {
-      var candidates = this.icecandidates.get(remotePeer)
-      var successCallback = function() {}
-      candidates.forEach(function(candidate) {
-        peerConnection.addIceCandidate(
-          candidate,
-          successCallback,
-          e => { throw e })
-      }, this)
-      this.icecandidates.delete(remotePeer)
+  var current = this.connections.get(remotePeer)
+
+  if(typeof current !== 'undefined' &&
+     current.status === 'connecting' &&
+     current.initiator) {
+    if(!isPolite.call(this, remotePeer)) {
+      // Our offer wins, the remote peer will answer it
+      return
     }
+    // The remote offer wins, our connection is abandoned
+    this.closeConnection(remotePeer, current)
+  } else if(typeof current !== 'undefined') {
+    // The remote peer started a new negotiation, the previous one is replaced
+    this.closeConnection(remotePeer, current)
   }
 
+  if(!this.connections.has(remotePeer) && !makeRoom.call(this)) {
+    this.respondTo(message, { type: 'request-peer:reject' })
+    return
+  }
+
+  var peerConnection = new PeerConnection(this, remotePeer)
+
   // Create and send the SDPAnswer
-  peerConnection.createSDPAnswer(remoteSDP, answer => {
-    this.respondTo(message, {type: 'answer', data: answer})
-  })
+  peerConnection.createSDPAnswer(remoteSDP)
+    .then(answer => this.respondTo(message, {type: 'answer', data: answer}))
+    .catch(() => this.closeConnection(remotePeer, peerConnection))
   // Add ICECandidate to the peer connection if we already have some
-  addIceCandidate.call(this, remotePeer, peerConnection)
+  if(this.icecandidates.has(remotePeer)) {
+    this.icecandidates.get(remotePeer)
+      .forEach(candidate => peerConnection.addRemoteCandidate(candidate))
+    this.icecandidates.delete(remotePeer)
+  }
   // Save the connection
   this.connections.set(remotePeer, peerConnection)
 }
 
 /**
  * The remote peer want our mediafile
- * The node begin the connection
+ * The node begin the connection. If the peer has no room for a new connection
+ * the request is politely refused (requests for any peer are just ignored).
  *
  * @param {Message} message - A request for a new connection
  */
 var onrequestpeer = function(message) {
-  // TODO Check we don't already have the connection
   var remote = message.from
   if(this.connections.has(remote) &&
      this.connections.get(remote).status !== 'close') {
     return
   }
 
+  if(!makeRoom.call(this)) {
+    if(message.to === this.id) {
+      this.respondTo(message, { type: 'request-peer:reject' })
+    }
+    return
+  }
+
   var peerConnection = new PeerConnection(this, message.from)
-  // Setup the communication channel only on one side
-  peerConnection.createChannel()
+  // Setup the communication channels only on one side
+  peerConnection.createChannels()
   // Send the SDP Offer once the connection is created
-  peerConnection.createSDPOffer(offer => {
-    this.respondTo(message, { type: 'offer', data: offer })
-  })
+  peerConnection.createSDPOffer()
+    .then(offer => this.respondTo(message, { type: 'offer', data: offer }))
+    .catch(() => this.closeConnection(remote, peerConnection))
   // Save the new connexion
   this.connections.set(message.from, peerConnection)
 }
 
 /**
- * Handles recpetion of the first view
+ * The remote peer has no room for a new connection: the negotiation is
+ * stopped and the messages waiting for the connection are dropped.
+ *
+ * @param {Message} message
+ */
+var onrequestpeerreject = function(message) {
+  var remote = message.from
+  if(this.connections.has(remote) &&
+     this.connections.get(remote).status === 'connecting') {
+    this.closeConnection(remote)
+  }
+  onconnectionlost.call(this, message)
+}
+
+/**
+ * Handles recpetion of the first view. The view is kept only if no extension
+ * (like {@link HyParView}) already built one from it. This relies on the order
+ * of the listeners: the extensions are applied by the constructor before this
+ * handler is added, so theirs are called first.
  *
  * @param {Message} message - The first view received from the server
  */
 var onfirstview = function(message) {
   this.id = message.data.id
-  this.view = message.data.view
+  if(typeof this.view === 'undefined') {
+    this.view = message.data.view
+  }
 }
 
 /**
@@ -379,10 +924,37 @@ var onconnected = function(message) {
   var [messageToSend, rest] = partition(
     (elt => elt.message.to === remote),
     this.queue)
-  messageToSend.forEach(elt => this.send(elt.message))
+  // Queued messages already went through the middlewares
+  messageToSend.forEach(elt => route.call(this, elt.message))
   this.queue = rest
 }
 
+/**
+ * Triggered when a connection failed or was closed by the remote peer. The
+ * connection is forgotten so a new one can be requested, and the messages
+ * waiting for it are dropped.
+ *
+ * @param {Message} message
+ * @param {string} message.from - id of the remote node
+ */
+var onconnectionlost = function(message) {
+  var remote = message.from
+  if(this.connections.has(remote) &&
+     this.connections.get(remote).status === 'close') {
+    this.closeConnection(remote)
+  }
+
+  var [messagesToDrop, rest] = partition(
+    (elt => elt.message.to === remote),
+    this.queue)
+  this.queue = rest
+  messagesToDrop.forEach(elt => {
+    if(typeof elt.callback !== 'undefined') {
+      elt.callback()
+    }
+  })
+}
+
 /**
  * Check if messages have reached their timeout and executes their callbacks. If
  * a message wasn't send with a timeout it will be kept forever in the queue. If
@@ -400,7 +972,7 @@ var processQueue = function() {
   }, this.queue)
 
   // Send the messages with connection available
-  messagesToSend.forEach(elt => this.send(elt.message))
+  messagesToSend.forEach(elt => route.call(this, elt.message))
 
   var now = Date.now()
   // Divide messages
@@ -21,6 +21,7 @@
 'use strict'
 
 import * as datachannel from './datachannel.js'
+import { merge } from 'ramda'
 export default PeerConnection
 
 /**
@@ -39,27 +40,6 @@ var RTCSessionDescription =
     window.RTCSessionDescription ||
     window.mozRTCSessionDescription ||
     window.webkitRTCSessionDescription
-/**
- * @external RTCConfiguration
- * @see http://www.w3.org/TR/webrtc/#idl-def-RTCConfiguration
- */
-var RTCConfiguration = {
-  iceServers: [
-    { // Amazon
-      /**
-       * @memberof external:RCTConfiguration.iceServers
-       * @deprecated replaced by `urls`
-       */
-      url: 'stun:23.21.150.121',
-      urls: 'stun:23.21.150.121'
-    }, {
-      url: 'stun:stun.l.google.com:19302',
-      urls: 'stun:stun.l.google.com:19302'
-    }
-  ],
-  iceTransports: 'all', // none relay all
-  peerIdentity: null
-}
 var MediaConstraints// Should NOT be defined
 
 /**
@@ -68,87 +48,275 @@ var MediaConstraints// Should NOT be defined
  *
  * @class PeerConnection
  * @augments external:RTCPeerConnection
- * @param {Peer} peer - Peer holding the connection (usually the local node)
+ * @param {Peer} peer - Peer holding the connection (usually the local node).
+ *        Its `rtcConfiguration` and `credentialProvider` properties are used
+ *        to configure the ICE servers
  * @param {string} remotePeer - Id of the remote peer
  * @property {string} id - Id of the peer
  * @property {string} remotePeer - Id of the remote peer
  * @property {string} status - Indicates the state of the connection
+ * @property {Object.<DataChannel>} channels - DataChannels of the connection
+ *           indexed by name (`control` and `bulk`)
+ * @property {number} deadline - Timeout closing the connection if it is not
+ *           open after `peer.connectionTimeout` milliseconds
+ * @property {boolean} initiator - Whether the connection has been initiated
+ *           by this peer (which sent the SDP offer)
+ * @property {number} createdAt - Creation time of the connection
+ * @property {number} lastActivity - Time of the last message sent or received
+ * @property {number} bytesReceived - Amount of data received from the remote
+ *           peer (used to evaluate its contribution)
+ * @property {Array.<external:RTCIceCandidate>} pendingCandidates - Remote
+ *           candidates received before the remote description was set
  */
 function PeerConnection(peer, remotePeer) {
   // TODO Inheritance: Can we extend RTCPeerConnection directly?
   //      RTCPeerConnection.call(this, RTCConfiguration)
   var id = peer.id
-  var pc = new RTCPeerConnection(RTCConfiguration, MediaConstraints)
+  var configuration = peer.rtcConfiguration ||
+        PeerConnection.defaultConfiguration
+  var pc = new RTCPeerConnection(configuration, MediaConstraints)
 
   pc.id = id
   pc.remotePeer = remotePeer
   pc.status = 'connecting'
+  pc.channels = {}
+  pc.initiator = false
+  pc.createdAt = Date.now()
+  pc.lastActivity = pc.createdAt
+  pc.bytesReceived = 0
+  pc.pendingCandidates = []
+
+  /**
+   * Create and configure the DataChannels for the PeerConnection
+   * @see module:datachannel~channels for the list of channels
+   *
+   * @function PeerConnection#createChannels
+   * @return {Object.<DataChannel>} The configured DataChannels
+   */
+  pc.createChannels = function() {
+    Object.keys(peer.channels).forEach(name => {
+      pc.channels[name] =
+        datachannel.create(peer, pc, remotePeer, name, peer.channels[name])
+    })
+    return pc.channels
+  }
+
+  /**
+   * Returns a function reporting the failure of a negotiation step with a
+   * `connection:error` message. The error is thrown again so the promise
+   * chain stays rejected.
+   *
+   * @param {string} phase - Step of the negotiation which failed
+   * @return {Function}
+   */
+  var fail = phase => error => {
+    peer.dispatchMessage({
+      type: 'connection:error',
+      from: remotePeer,
+      to: peer.id,
+      data: { remote: remotePeer, phase: phase, error: error }
+    })
+    throw error
+  }
+
+  /**
+   * Adds the ICE servers given by the credential provider of the peer (if
+   * any) to the configuration of the connection. It has to be done before
+   * the local description is set as it starts the gathering of candidates.
+   *
+   * @return {Promise}
+   */
+  var configure = function() {
+    if(typeof peer.credentialProvider !== 'function') {
+      return Promise.resolve()
+    }
+
+    return Promise.resolve(peer.credentialProvider(remotePeer))
+      .then(iceServers => pc.setConfiguration(merge(configuration, {
+        iceServers: configuration.iceServers.concat(iceServers)
+      })))
+      .catch(fail('credentials'))
+  }
 
   /**
-   * Create and configure the DataChannel for the PeerConnection
-   * @see DataChannel for the list of configurations
+   * Sets the remote description then adds the candidates received while it
+   * was not set
    *
-   * @function PeerConnection#createChannel
-   * @return {DataChannel} The configured DataChannel
+   * @param {Object} remoteSDP - SDP description of the remote peer
+   * @return {Promise}
    */
-  pc.createChannel = function() {
-    pc.channel = datachannel.create(peer, pc, remotePeer)
-    return pc.channel
+  var setRemoteDescription = function(remoteSDP) {
+    return pc.setRemoteDescription(new RTCSessionDescription(remoteSDP))
+      .catch(fail('set-remote-description'))
+      .then(() => {
+        var candidates = pc.pendingCandidates
+        pc.pendingCandidates = []
+        candidates.forEach(candidate => pc.addRemoteCandidate(candidate))
+      })
   }
 
   /**
-   * Creates the SDPOffer to open a connection to the remote peer
+   * Adds a candidate of the remote peer. Candidates can not be added before
+   * the remote description is set (which can take a while when the ICE
+   * servers come from a credential provider): they are queued until then.
+   * Candidates gathered for another negotiation (like an offer abandoned
+   * because of glare) are dropped. A candidate which cannot be added is not
+   * fatal for the connection.
+   *
+   * @function PeerConnection#addRemoteCandidate
+   * @param {external:RTCIceCandidate} candidate
+   * @return {Promise}
+   */
+  pc.addRemoteCandidate = function(candidate) {
+    if(!pc.remoteDescription || !pc.remoteDescription.type) {
+      pc.pendingCandidates.push(candidate)
+      return Promise.resolve()
+    }
+
+    var ufrag = ufragOf(candidate)
+    var expected = remoteUfrags(pc.remoteDescription.sdp)
+    if(typeof ufrag !== 'undefined' &&
+       expected.length > 0 &&
+       expected.indexOf(ufrag) === -1) {
+      return Promise.resolve()
+    }
+    return pc.addIceCandidate(candidate)
+      .catch(e => console.error('Failed to add ICE candidate', e))
+  }
+
+  /**
+   * Creates the SDPOffer to open a connection to the remote peer and sets it
+   * as local description
    *
    * @function PeerConnection#createSDPOffer
-   * @param {Function} sendOffer - Use the signaling server to transmit the
-   *        offer to the remote Peer
+   * @return {Promise} Resolved with the offer which should be transmitted to
+   *         the remote peer through the signaling system
    */
-  pc.createSDPOffer = function(sendOffer) {
-    // TODO Use generators when available
-    pc.createOffer(function(offer) {
-      pc.setLocalDescription(offer, function() {
-        sendOffer(offer)
-      }, () => { throw new Error('Failed to set local description') })
-    }, () => { throw new Error('Failed to create SDP offer') })
+  pc.createSDPOffer = function() {
+    pc.initiator = true
+    return configure()
+      .then(() => pc.createOffer().catch(fail('create-offer')))
+      .then(offer => pc.setLocalDescription(offer)
+            .catch(fail('set-local-description'))
+            .then(() => offer))
   }
 
   /**
-   * Create a SDPAnswer from a SDPOffer and send it to the remote peer
+   * Create a SDPAnswer from a SDPOffer and sets it as local description
    *
    * @function PeerConnection#createSDPAnswer
-   * @param {string} remoteSDP - Id of the remote peer
-   * @param {Function} sendAnswer - callback used to send the SDPAnswer. Use
-   *        the signaling system to transmit it
+   * @param {Object} remoteSDP - SDPOffer of the remote peer
+   * @return {Promise} Resolved with the answer which should be transmitted to
+   *         the remote peer through the signaling system
    */
-  pc.createSDPAnswer = function(remoteSDP, sendAnswer) {
-    // TODO Use generator when available
-    remoteSDP = new RTCSessionDescription(remoteSDP)
-    pc.setRemoteDescription(remoteSDP, function() {
-      // Then create the answer
-      pc.createAnswer(function(answer) {
-        // Then set local description from the answer
-        pc.setLocalDescription(answer, function success() {
-          // ... and send it
-          sendAnswer(answer)
-        }, e => { throw e })
-      }, e => { throw e })
-    }, e => { throw e })
+  pc.createSDPAnswer = function(remoteSDP) {
+    return configure()
+      .then(() => setRemoteDescription(remoteSDP))
+      .then(() => pc.createAnswer().catch(fail('create-answer')))
+      .then(answer => pc.setLocalDescription(answer)
+            .catch(fail('set-local-description'))
+            .then(() => answer))
   }
 
   /**
-   * Use the DataChannel to transmit the message to the remote peer
+   * Sets the SDPAnswer received from the remote peer as remote description.
+   * The connection will be usable once the DataChannel is open.
+   *
+   * @function PeerConnection#setSDPAnswer
+   * @param {Object} remoteSDP - SDPAnswer of the remote peer
+   * @return {Promise}
+   */
+  pc.setSDPAnswer = function(remoteSDP) {
+    return setRemoteDescription(remoteSDP)
+  }
+
+  /**
+   * Use a DataChannel to transmit the message to the remote peer. Messages
+   * are queued while the buffer of the channel is full.
    *
    * @function PeerConnection#send
    * @param {Message} message - message that should be sent to the remote peer
+   * @param {string} [channel='control'] - Name of the channel to use. The
+   *        control channel is used if the connection has no such channel.
    */
-  pc.send = function(message) {
+  pc.send = function(message, channel = 'control') {
     if('open' === pc.status) {
-      pc.channel.send(JSON.stringify(message))
+      pc.lastActivity = Date.now()
+      datachannel.send(pc.channels[channel] || pc.channels.control,
+                       message,
+                       remotePeer)
     }
   }
 
+  var closeConnection = pc.close.bind(pc)
+  /**
+   * Closes the DataChannel and the underlying RTCPeerConnection
+   *
+   * @function PeerConnection#close
+   * @override
+   */
+  pc.close = function() {
+    window.clearTimeout(pc.deadline)
+    window.clearTimeout(pc.disconnection)
+    pc.status = 'close'
+    Object.keys(pc.channels).forEach(name => pc.channels[name].close())
+    closeConnection()
+  }
+
+  /**
+   * Closes the connection and tells the peer the connection could not be
+   * established or has been lost
+   *
+   * @param {string} reason - `timeout`, `failed` or `disconnected`
+   */
+  var failConnection = function(reason) {
+    if(pc.status === 'close') {
+      return
+    }
+    pc.close()
+    peer.dispatchMessage({
+      type: 'connection:failed',
+      from: remotePeer,
+      to: peer.id,
+      data: { remote: remotePeer, reason: reason }
+    })
+  }
+
+  /**
+   * Reacts to the changes of ICE and connection states. A `failed` connection
+   * is closed at once while a `disconnected` one is given some time to
+   * recover.
+   *
+   * @param {string} state - New state of the connection
+   */
+  var onstatechange = function(state) {
+    if(state === 'failed') {
+      failConnection('failed')
+    } else if(state === 'disconnected') {
+      window.clearTimeout(pc.disconnection)
+      pc.disconnection = window.setTimeout(() => {
+        if(pc.iceConnectionState === 'disconnected' ||
+           pc.connectionState === 'disconnected') {
+          failConnection('disconnected')
+        }
+      }, peer.connectionTimeout)
+    } else if(state === 'connected' || state === 'completed') {
+      window.clearTimeout(pc.disconnection)
+    }
+  }
+
+  // The negotiation must be over before the deadline
+  pc.deadline = window.setTimeout(() => {
+    if(pc.status === 'connecting') {
+      failConnection('timeout')
+    }
+  }, peer.connectionTimeout)
+
   // Events
 
+  pc.oniceconnectionstatechange = () => onstatechange(pc.iceConnectionState)
+  pc.onconnectionstatechange = () => onstatechange(pc.connectionState)
+
   /**
    * Send ICECandidates to the remote peer as soon as they are received. We
    * cannot use the connection to send them as it probably isn't open yet and
@@ -172,12 +340,17 @@ function PeerConnection(peer, remotePeer) {
 
   /**
    * When a the remote peer opens a DataChannel, it adds the default event
-   * handlers and tells the Peer to emit an `onconnected` event
+   * handlers. The Peer will emit an `onconnected` event once every channel is
+   * open. A channel with an unknown label (like the single channel of older
+   * versions, labelled with the ids of the peers) is used as control channel
+   * and opens the connection on its own.
    *
    * @param {Event} event - Contains a RTCDataChannel created by the remote peer
    */
   pc.ondatachannel = function(event) {
-    pc.channel = datachannel.setHandlers(
+    var label = event.channel.label
+    var name = datachannel.channels.hasOwnProperty(label) ? label : 'control'
+    pc.channels[name] = datachannel.setHandlers(
       event.channel,
       peer,
       pc,
@@ -187,3 +360,61 @@ function PeerConnection(peer, remotePeer) {
   // Supercharged RTCPeerConnection
   return pc
 }
+
+/**
+ * @param {external:RTCIceCandidate} candidate
+ * @return {(string|undefined)} ICE username fragment of the negotiation the
+ *         candidate was gathered for
+ */
+var ufragOf = function(candidate) {
+  if(typeof candidate.usernameFragment === 'string') {
+    return candidate.usernameFragment
+  }
+  var match = /\sufrag\s+(\S+)/.exec(candidate.candidate || '')
+  return match === null ? undefined : match[1]
+}
+
+/**
+ * @param {string} sdp - Session description
+ * @return {Array.<string>} ICE username fragments of the description
+ */
+var remoteUfrags = function(sdp) {
+  var pattern = /a=ice-ufrag:(\S+)/g
+  var ufrags = []
+  var match = pattern.exec(sdp)
+  while(match !== null) {
+    ufrags.push(match[1])
+    match = pattern.exec(sdp)
+  }
+  return ufrags
+}
+
+/**
+ * @external RTCConfiguration
+ * @see http://www.w3.org/TR/webrtc/#idl-def-RTCConfiguration
+ */
+
+/**
+ * Configuration used when the peer does not define its own ICE servers
+ *
+ * @name PeerConnection.defaultConfiguration
+ * @type {external:RTCConfiguration}
+ */
+PeerConnection.defaultConfiguration = {
+  iceServers: [
+    { // Amazon
+      /**
+       * @memberof external:RCTConfiguration.iceServers
+       * @deprecated replaced by `urls`
+       */
+      url: 'stun:23.21.150.121',
+      urls: 'stun:23.21.150.121'
+    }, {
+      url: 'stun:stun.l.google.com:19302',
+      urls: 'stun:stun.l.google.com:19302'
+    }
+  ],
+  iceTransportPolicy: 'all', // relay all
+  iceTransports: 'all', // Deprecated name of iceTransportPolicy
+  peerIdentity: null
+}
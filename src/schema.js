@@ -0,0 +1,162 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import { merge } from 'ramda'
+
+/**
+ * Registry of the shapes of the messages. Each message type can have its own
+ * schema listing the fields its messages require and their types. Every
+ * message must at least follow the base schema (`type`, `from` and `to`).
+ *
+ * Types of the fields are `string`, `number`, `boolean`, `array`, `object`,
+ * `id` (a string or a number) and `any`. Alternatives are separated by a `|`
+ * and a `?` suffix marks the field as optional.
+ *
+ * @example
+ * schema.register('media:request-part', {
+ *   url: 'string',
+ *   number: 'number',
+ *   route: 'array?'
+ * })
+ *
+ * @module schema
+ */
+
+/**
+ * @typedef Schema
+ * @desc Types of the fields of a message indexed by field name
+ * @type {Object.<string>}
+ */
+
+var checks = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !isNaN(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null,
+  id: value => typeof value === 'string' || typeof value === 'number',
+  any: () => true
+}
+
+/**
+ * Schema every message must follow
+ *
+ * @const {Schema} base
+ * @inner
+ * @memberof module:schema
+ */
+export const base = {
+  type: 'string',
+  from: 'id',
+  to: 'id',
+  messageId: 'string?',
+  requestId: 'string?',
+  inReplyTo: 'string?'
+}
+
+var schemas = new Map()
+
+/**
+ * Adds fields to the schema of a message type. Registering the same type
+ * several times merges the fields.
+ *
+ * @function module:schema~register
+ * @param {string} type - Type of the message
+ * @param {Schema} fields - Fields required by this type of message
+ */
+export function register(type, fields) {
+  Object.keys(fields).forEach(field => {
+    var types = fields[field].replace(/\?$/, '').split('|')
+    types.forEach(t => {
+      if(!checks.hasOwnProperty(t)) {
+        throw new Error('Unknown field type: ' + t)
+      }
+    })
+  })
+  schemas.set(type, merge(schemas.get(type) || {}, fields))
+}
+
+/**
+ * @function module:schema~get
+ * @param {string} type - Type of the message
+ * @return {Schema} Complete schema of the message type (including the base
+ *         schema)
+ */
+export function get(type) {
+  return merge(base, schemas.get(type) || {})
+}
+
+/**
+ * Checks a message against the schema of its type
+ *
+ * @function module:schema~validate
+ * @param {Message} message - Message needing validation
+ * @return {Array.<string>} Description of each error. The list is empty if the
+ *         message is valid.
+ */
+export function validate(message) {
+  if(typeof message !== 'object' || message === null) {
+    return ['Message is not an object']
+  }
+
+  var fields = get(message.type)
+  return Object.keys(fields).reduce((errors, field) => {
+    var spec = fields[field]
+    var optional = spec[spec.length - 1] === '?'
+    var types = spec.replace(/\?$/, '').split('|')
+    var value = message[field]
+
+    if(typeof value === 'undefined') {
+      if(!optional) {
+        errors.push('Message#' + field + ' is missing')
+      }
+    } else if(!types.some(t => checks[t](value))) {
+      errors.push('Message#' + field + ' should be of type ' + types.join('|'))
+    }
+    return errors
+  }, [])
+}
+
+/**
+ * @function module:schema~isValid
+ * @param {Message} message - Message needing validation
+ * @return {boolean} true if the message follows the schema of its type
+ */
+export function isValid(message) {
+  return validate(message).length === 0
+}
+
+// Messages used to establish the connections between peers are forwarded
+var connectionTypes = [
+  'request-peer',
+  'request-peer:reject',
+  'offer',
+  'answer',
+  'icecandidate'
+]
+connectionTypes.forEach(type => {
+  register(type, {
+    ttl: 'number',
+    forwardBy: 'array',
+    route: 'array?'
+  })
+})
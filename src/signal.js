@@ -23,41 +23,238 @@
 export default Signal
 
 /**
- * Client-side implementation of Signal working with the ParadoneServer.
+ * Client-side implementation of Signal working with the ParadoneServer. The
+ * WebSocket is automatically reopened with an exponential backoff when the
+ * connection is lost and messages sent in the meantime are buffered. The
+ * changes of state are dispatched to the peer as `signal:open`,
+ * `signal:close` and `signal:reconnecting` messages.
  *
  * @class Signal
  * @param {Peer} peer
  * @param {Object} options
+ * @param {string} options.url - Address of the signaling server
+ * @param {number} [options.reconnectDelay] - Base delay in ms before
+ *        reopening a closed socket
+ * @param {number} [options.maxReconnectDelay] - Upper bound of the delay
+ * @param {number} [options.heartbeatInterval] - Interval in ms between two
+ *        pings sent to the server. A value of 0 disables the heartbeat
+ * @param {number} [options.maxBuffer] - Maximum number of messages buffered
+ *        while the socket is not open
  *
  * @property {WebSocket} socket - Connection to the signaling system
+ * @property {string} status - `connecting`, `open` or `close`
+ * @property {Array.<Message>} buffer - Messages waiting for the socket to be
+ *           open
+ * @property {number} attempts - Number of reconnections tried since the last
+ *           time the socket was open
+ * @property {boolean} pongReceived - Whether the server answered a ping since
+ *           the socket was open
  */
 function Signal(peer, options) {
   if(typeof options === 'undefined' ||
      typeof options.url === 'undefined') {
     throw new Error('Signal\'s options argument malformed')
   }
-  var url = options.url
-  var socket = new WebSocket(url)
 
-  socket.addEventListener('open', () => this.status = 'open')
-  socket.addEventListener('close', () => this.status = 'close')
+  this.peer = peer
+  this.url = options.url
+  this.reconnectDelay = options.reconnectDelay || Signal.reconnectDelay
+  this.maxReconnectDelay = options.maxReconnectDelay ||
+    Signal.maxReconnectDelay
+  this.heartbeatInterval = options.hasOwnProperty('heartbeatInterval') ?
+    options.heartbeatInterval : Signal.heartbeatInterval
+  this.maxBuffer = options.maxBuffer || Signal.maxBuffer
+
+  this.buffer = []
+  this.attempts = 0
+  this.closed = false
+
+  connect.call(this)
+}
+
+/**
+ * Base delay in milliseconds before trying to reconnect. It is doubled after
+ * each failed attempt.
+ *
+ * @name Signal.reconnectDelay
+ * @type {number}
+ */
+Signal.reconnectDelay = 500
+
+/**
+ * Maximum delay in milliseconds between two reconnection attempts
+ *
+ * @name Signal.maxReconnectDelay
+ * @type {number}
+ */
+Signal.maxReconnectDelay = 30000
+
+/**
+ * Interval in milliseconds between two pings sent to the server. Once the
+ * server has answered a ping, the socket is considered half-open and is closed
+ * if nothing has been received during two intervals. Servers which do not
+ * answer `signal:ping` are never considered silent. Disabled by default.
+ *
+ * @name Signal.heartbeatInterval
+ * @type {number}
+ */
+Signal.heartbeatInterval = 0
+
+/**
+ * Default maximum number of messages buffered while the socket is not open.
+ * The oldest messages are dropped first.
+ *
+ * @name Signal.maxBuffer
+ * @type {number}
+ */
+Signal.maxBuffer = 100
+
+/**
+ * Dispatches a message about the state of the signaling system to the peer
+ *
+ * @param {string} type - Type of the event
+ * @param {Object} [data]
+ */
+var notify = function(type, data) {
+  this.peer.dispatchMessage({
+    type: type,
+    from: 'self',
+    to: 'self',
+    data: data
+  })
+}
+
+/**
+ * Opens a new WebSocket and binds its events
+ */
+var connect = function() {
+  var socket = new WebSocket(this.url)
+  this.status = 'connecting'
+
+  socket.addEventListener('open', () => {
+    this.status = 'open'
+    this.attempts = 0
+    this.lastReceived = Date.now()
+    this.pongReceived = false
+    startHeartbeat.call(this)
+    notify.call(this, 'signal:open')
+    flush.call(this)
+  })
+  socket.addEventListener('close', event => {
+    var wasOpen = this.status === 'open'
+    this.status = 'close'
+    stopHeartbeat.call(this)
+    if(wasOpen) {
+      notify.call(this, 'signal:close', { code: event.code })
+    }
+    if(!this.closed) {
+      reconnect.call(this)
+    }
+  })
   socket.addEventListener('error', (error) => console.error(error))
   socket.addEventListener('message', (event) => {
     var message = JSON.parse(event.data)
-    peer.dispatchMessage(message)
+    this.lastReceived = Date.now()
+    if(message.type === 'signal:pong') {
+      this.pongReceived = true
+    } else {
+      this.peer.receive(message)
+    }
   })
 
   this.socket = socket
 }
 
 /**
- * Sends message to the signaling system
+ * Schedules a new connection after a delay growing exponentially with the
+ * number of attempts. A random jitter prevents every peer from reconnecting
+ * at the same time when the server restarts.
+ */
+var reconnect = function() {
+  var delay = Math.min(
+    this.maxReconnectDelay,
+    this.reconnectDelay * Math.pow(2, this.attempts))
+  delay = delay / 2 + Math.random() * delay / 2
+  this.attempts += 1
+
+  notify.call(this, 'signal:reconnecting', {
+    attempt: this.attempts,
+    delay: delay
+  })
+  this.reconnectTimeout = window.setTimeout(connect.bind(this), delay)
+}
+
+/**
+ * Sends the buffered messages once the socket is open
+ */
+var flush = function() {
+  var buffer = this.buffer
+  this.buffer = []
+  buffer.forEach(message => this.send(message))
+}
+
+/**
+ * Periodically pings the server and closes the socket if a server answering
+ * pings has been silent for too long
+ */
+var startHeartbeat = function() {
+  if(this.heartbeatInterval <= 0) {
+    return
+  }
+
+  this.heartbeat = window.setInterval(() => {
+    if(this.pongReceived &&
+       Date.now() - this.lastReceived > 2 * this.heartbeatInterval) {
+      // Half-open socket: the close event will trigger the reconnection
+      this.socket.close()
+    } else {
+      this.socket.send(JSON.stringify({
+        type: 'signal:ping',
+        from: this.peer.id,
+        to: 'signal'
+      }))
+    }
+  }, this.heartbeatInterval)
+}
+
+var stopHeartbeat = function() {
+  window.clearInterval(this.heartbeat)
+}
+
+/**
+ * Sends message to the signaling system. If the socket is not open the
+ * message is buffered until the connection is (re)established. When the
+ * buffer is full the oldest message is dropped.
  *
  * @function Signal#send
  * @param {Message} message
  */
 Signal.prototype.send = function(message) {
+  if(this.closed) {
+    return
+  } else if(this.status !== 'open') {
+    this.buffer.push(message)
+    if(this.buffer.length > this.maxBuffer) {
+      this.buffer.shift()
+    }
+    return
+  }
+
   message.ttl = 0
-  message = JSON.stringify(message)
-  this.socket.send(message)
+  this.socket.send(JSON.stringify(message))
+}
+
+/**
+ * Closes the connection with the signaling system. The socket will not be
+ * reopened.
+ *
+ * @function Signal#close
+ */
+Signal.prototype.close = function() {
+  this.closed = true
+  this.buffer = []
+  window.clearTimeout(this.reconnectTimeout)
+  stopHeartbeat.call(this)
+  this.status = 'close'
+  this.socket.close()
 }
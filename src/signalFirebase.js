@@ -78,6 +78,16 @@ SignalFirebase.prototype.send = function(message) {
   this.firebase.push(message)
 }
 
+/**
+ * Stops listening to the Firebase instance
+ *
+ * @function SignalFirebase#close
+ */
+SignalFirebase.prototype.close = function() {
+  this.status = 'close'
+  this.firebase.off()
+}
+
 /**
  * Defines the callback handling new messages received from the sigbal server
  *
@@ -95,7 +105,7 @@ var setOnMessage = function(firebase, id, peer) {
       return
     } else if(message.from !== id &&
               (message.to === -1 || message.to === id)) {
-      peer.dispatchMessage(message)
+      peer.receive(message)
     }
   })
 }
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+export default SignalHttp
+
+/**
+ * Signaling system relying on HTTP long polling for environments where
+ * WebSockets are not available. Messages are sent with `POST` requests and
+ * received by a `GET` request held by the server until some messages are
+ * available. The response of the server is a JSON array of messages. The id
+ * of the peer is taken from the `first-view` message and is given to the
+ * server in the `id` parameter of every subsequent request.
+ *
+ * @class SignalHttp
+ * @implements {SignalTransport}
+ * @param {Peer} peer - Messages will be dispatched to this peer
+ * @param {Object} options
+ * @param {string} options.url - Address of the signaling server
+ * @param {number} [options.pollDelay] - Delay in ms between a response of
+ *        the server and the next poll
+ * @param {number} [options.retryDelay] - Delay in ms before polling again
+ *        after a failed request. It is doubled after each consecutive failure.
+ * @param {number} [options.maxRetryDelay] - Upper bound of the retry delay
+ *
+ * @property {string} status - `connecting`, `open` or `close`
+ * @property {string} id - Id given by the server
+ * @property {Array.<Message>} buffer - Messages waiting for the first
+ *           response of the server
+ * @property {number} failures - Number of consecutive failed polls
+ */
+function SignalHttp(peer, options) {
+  if(typeof options === 'undefined' ||
+     typeof options.url === 'undefined') {
+    throw new Error('Signal\'s options argument malformed')
+  }
+
+  this.peer = peer
+  this.url = options.url
+  this.pollDelay = options.hasOwnProperty('pollDelay') ?
+    options.pollDelay : SignalHttp.pollDelay
+  this.retryDelay = options.retryDelay || SignalHttp.retryDelay
+  this.maxRetryDelay = options.maxRetryDelay || SignalHttp.maxRetryDelay
+  this.status = 'connecting'
+  this.buffer = []
+  this.failures = 0
+
+  poll.call(this)
+}
+
+/**
+ * Delay in milliseconds between a response of the server and the next poll
+ *
+ * @name SignalHttp.pollDelay
+ * @type {number}
+ */
+SignalHttp.pollDelay = 100
+
+/**
+ * Delay in milliseconds before polling the server again after an error
+ *
+ * @name SignalHttp.retryDelay
+ * @type {number}
+ */
+SignalHttp.retryDelay = 2000
+
+/**
+ * Maximum delay in milliseconds before polling the server again after
+ * consecutive errors
+ *
+ * @name SignalHttp.maxRetryDelay
+ * @type {number}
+ */
+SignalHttp.maxRetryDelay = 30000
+
+/**
+ * Sends an HTTP request to the signaling server
+ *
+ * @param {string} method - `GET` or `POST`
+ * @param {string} [body] - Content of the request
+ * @return {Promise} Resolved with the text of the response
+ */
+var request = function(method, body) {
+  var url = this.url
+  if(typeof this.id !== 'undefined') {
+    url += (url.indexOf('?') === -1 ? '?' : '&') +
+      'id=' + encodeURIComponent(this.id)
+  }
+
+  return new Promise((resolve, reject) => {
+    var xhr = new XMLHttpRequest()
+    xhr.open(method, url, true)
+    xhr.setRequestHeader('Content-Type', 'application/json')
+    xhr.onreadystatechange = function() {
+      if(this.readyState === XMLHttpRequest.DONE) {
+        if(this.status >= 200 && this.status < 300) {
+          resolve(this.responseText)
+        } else {
+          reject(this)
+        }
+      }
+    }
+    if(method === 'GET') {
+      this.pollRequest = xhr
+    }
+    xhr.send(body)
+  })
+}
+
+/**
+ * Schedules the next poll
+ *
+ * @param {number} delay - Time to wait in milliseconds
+ */
+var schedule = function(delay) {
+  if(this.status !== 'close') {
+    this.pollTimeout = window.setTimeout(poll.bind(this), delay)
+  }
+}
+
+/**
+ * Schedules the next poll after a failure, with an exponential backoff
+ */
+var backoff = function() {
+  var delay = Math.min(
+    this.maxRetryDelay,
+    this.retryDelay * Math.pow(2, this.failures))
+  this.failures += 1
+  schedule.call(this, delay)
+}
+
+/**
+ * Waits for new messages from the server and dispatches them to the peer. A
+ * new request is sent `pollDelay` milliseconds after the previous one is
+ * answered. Failed requests, and answers which can't be handled (e.g. a
+ * malformed body), are retried with an exponential backoff.
+ */
+var poll = function() {
+  if(this.status === 'close') {
+    return
+  }
+
+  request.call(this, 'GET').then(text => {
+    this.failures = 0
+    var messages = text === '' ? [] : JSON.parse(text)
+    messages.forEach(message => {
+      if(message.type === 'first-view') {
+        this.id = message.data.id
+      }
+      this.peer.receive(message)
+    })
+
+    if(this.status === 'connecting' && typeof this.id !== 'undefined') {
+      this.status = 'open'
+      var buffer = this.buffer
+      this.buffer = []
+      buffer.forEach(message => this.send(message))
+    }
+    schedule.call(this, this.pollDelay)
+  }, () => backoff.call(this)).catch(error => {
+    console.error('Signal failed to handle the server answer', error)
+    backoff.call(this)
+  })
+}
+
+/**
+ * Sends a message to the signaling server. Messages are buffered until the
+ * server has given an id to the peer.
+ *
+ * @function SignalHttp#send
+ * @param {Message} message
+ */
+SignalHttp.prototype.send = function(message) {
+  if(this.status === 'connecting') {
+    this.buffer.push(message)
+  } else if(this.status === 'open') {
+    message.ttl = 0
+    request.call(this, 'POST', JSON.stringify(message))
+      .catch(() => console.error('Signal failed to send', message))
+  }
+}
+
+/**
+ * Stops polling the server
+ *
+ * @function SignalHttp#close
+ */
+SignalHttp.prototype.close = function() {
+  this.status = 'close'
+  this.buffer = []
+  window.clearTimeout(this.pollTimeout)
+  if(typeof this.pollRequest !== 'undefined') {
+    this.pollRequest.abort()
+  }
+}
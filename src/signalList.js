@@ -0,0 +1,109 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import Signal from './signal.js'
+import SignalHttp from './signalHttp.js'
+import SignalLocal from './signalLocal.js'
+
+var transports = {
+  websocket: Signal,
+  'http-long-poll': SignalHttp,
+  broadcastchannel: SignalLocal,
+  memory: SignalLocal
+}
+
+/**
+ * Registry of the transports available for the signaling system. The
+ * transport used by a peer is selected with the `type` property of the
+ * `signal` options.
+ *
+ * The Firebase transport is not registered by default so the bundles which do
+ * not use it do not ship the Firebase library:
+ *
+ * @example
+ * import SignalFirebase from 'paradone/src/signalFirebase.js'
+ * paradone.signals.register('firebase', SignalFirebase)
+ *
+ * @module signals
+ */
+
+/**
+ * Adds a new transport to the registry
+ *
+ * @function module:signals~register
+ * @param {string} type - Name used as `options.signal.type`
+ * @param {Function} Transport - Constructor implementing {@link
+ *        SignalTransport}
+ */
+export function register(type, Transport) {
+  transports[type] = Transport
+}
+
+/**
+ * Creates the signaling transport of a peer. The `type` option can either be
+ * the name of a registered transport or a constructor implementing {@link
+ * SignalTransport}. The WebSocket transport is used by default.
+ *
+ * @function module:signals~create
+ * @param {Peer} peer - Messages received from the signaling system will be
+ *        dispatched to this peer
+ * @param {Object} options - Options given to the transport
+ * @param {(string|Function)} [options.type='websocket'] - Transport to use
+ * @return {SignalTransport} The new transport
+ */
+export function create(peer, options) {
+  if(typeof options === 'undefined') {
+    throw new Error('Signal\'s options argument malformed')
+  }
+
+  var type = options.type || 'websocket'
+  var Transport = typeof type === 'function' ? type : transports[type]
+
+  if(typeof Transport !== 'function') {
+    throw new Error('Unknown signal type: ' + type)
+  }
+
+  return new Transport(peer, options)
+}
+
+/**
+ * Contract fulfilled by every signaling transport. A transport is built with
+ * `new Transport(peer, options)` and dispatches the messages it receives to
+ * the peer with `peer.receive`.
+ *
+ * @interface SignalTransport
+ * @property {string} status - State of the transport: `connecting`, `open` or
+ *           `close`
+ */
+
+/**
+ * Transmits a message to the remote peers through the signaling system
+ *
+ * @function SignalTransport#send
+ * @param {Message} message
+ */
+
+/**
+ * Stops the transport. No message will be sent or dispatched afterwards.
+ *
+ * @function SignalTransport#close
+ */
@@ -0,0 +1,233 @@
+/*
+ * Copyright 2015 Paradone
+ *
+ * This file is part of Paradone <https://paradone.github.io>
+ *
+ * Paradone is free software: you can redistribute it and/or modify it under
+ * the terms of the GNU Affero General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or (at your
+ * option) any later version.
+ *
+ * Paradone is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Affero General Public
+ * License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Paradone.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @flow weak
+ */
+'use strict'
+
+import { shuffleArray } from './util.js'
+export default SignalLocal
+
+/**
+ * Signaling system working without server. Peers of the same origin
+ * communicate through a `BroadcastChannel`, or through a {@link MemoryHub}
+ * when they live in the same JavaScript context (tests, Node). Each peer
+ * generates its own id and discovers the other members of the channel before
+ * dispatching its `first-view`.
+ *
+ * @class SignalLocal
+ * @implements {SignalTransport}
+ * @param {Peer} peer - Messages will be dispatched to this peer
+ * @param {Object} [options]
+ * @param {string} [options.type] - `broadcastchannel` or `memory`
+ * @param {string} [options.channel] - Name of the BroadcastChannel
+ * @param {MemoryHub} [options.hub] - Hub used by the `memory` type. A shared
+ *        hub is used if none is given
+ * @param {number} [options.discoveryDelay] - Time in ms given to the other
+ *        members to announce themselves before the first view is dispatched
+ * @param {number} [options.viewSize] - Maximum size of the first view
+ *
+ * @property {string} id - Id of the peer
+ * @property {string} status - `connecting`, `open` or `close`
+ * @property {Set.<string>} members - Ids of the other peers on the channel
+ * @property {Array.<Message>} buffer - Messages sent before the first view
+ */
+function SignalLocal(peer, options = {}) {
+  this.peer = peer
+  this.id = String(Date.now()) + String(Math.random()).slice(1, 6)
+  this.status = 'connecting'
+  this.members = new Set()
+  this.buffer = []
+  this.viewSize = options.viewSize || SignalLocal.viewSize
+
+  if(options.type === 'memory' || typeof options.hub !== 'undefined') {
+    this.port = (options.hub || SignalLocal.hub).createPort()
+  } else {
+    this.port = new BroadcastChannel(options.channel || SignalLocal.channel)
+  }
+  this.port.onmessage = event => onmessage.call(this, JSON.parse(event.data))
+
+  post.call(this, { type: 'signal:hello', from: this.id, to: -1 })
+  this.discovery = setTimeout(
+    sendFirstView.bind(this),
+    options.discoveryDelay || SignalLocal.discoveryDelay)
+}
+
+/**
+ * Default name of the BroadcastChannel
+ *
+ * @name SignalLocal.channel
+ * @type {string}
+ */
+SignalLocal.channel = 'paradone'
+
+/**
+ * Default time in milliseconds waited before dispatching the first view
+ *
+ * @name SignalLocal.discoveryDelay
+ * @type {number}
+ */
+SignalLocal.discoveryDelay = 100
+
+/**
+ * Default maximum size of the first view
+ *
+ * @name SignalLocal.viewSize
+ * @type {number}
+ */
+SignalLocal.viewSize = 10
+
+/**
+ * In-memory replacement of a BroadcastChannel. Each port created from the hub
+ * receives asynchronously the data posted by the other ports.
+ *
+ * @class MemoryHub
+ * @property {Set.<Object>} ports - Ports connected to the hub
+ */
+function MemoryHub() {
+  this.ports = new Set()
+}
+
+/**
+ * Creates a new port with the `postMessage`, `onmessage` and `close` members
+ * of a BroadcastChannel
+ *
+ * @function MemoryHub#createPort
+ * @return {Object} The port connected to the hub
+ */
+MemoryHub.prototype.createPort = function() {
+  var ports = this.ports
+  var port = {
+    onmessage: null,
+    postMessage: function(data) {
+      ports.forEach(other => {
+        if(other !== port) {
+          setTimeout(() => {
+            if(ports.has(other) && other.onmessage !== null) {
+              other.onmessage({ data: data })
+            }
+          }, 0)
+        }
+      })
+    },
+    close: function() {
+      ports.delete(port)
+    }
+  }
+  ports.add(port)
+  return port
+}
+
+SignalLocal.MemoryHub = MemoryHub
+
+/**
+ * Hub shared by the `memory` transports created without a hub
+ *
+ * @name SignalLocal.hub
+ * @type {MemoryHub}
+ */
+SignalLocal.hub = new MemoryHub()
+
+/**
+ * Serializes the message and posts it on the channel
+ *
+ * @param {Message} message
+ */
+var post = function(message) {
+  this.port.postMessage(JSON.stringify(message))
+}
+
+/**
+ * Builds the first view from the members discovered so far and opens the
+ * transport
+ */
+var sendFirstView = function() {
+  var view = shuffleArray([...this.members])
+    .slice(0, this.viewSize)
+    .map(id => ({ id: id, age: 0 }))
+
+  this.status = 'open'
+  this.peer.receive({
+    type: 'first-view',
+    from: 'signal',
+    to: this.id,
+    data: { id: this.id, view: view }
+  })
+
+  var buffer = this.buffer
+  this.buffer = []
+  buffer.forEach(message => this.send(message))
+}
+
+/**
+ * Handles the membership messages and dispatches the others to the peer if
+ * they are meant for it
+ *
+ * @param {Message} message
+ */
+var onmessage = function(message) {
+  if(message.from === this.id) {
+    return
+  }
+
+  var type = message.type
+  var to = message.to
+
+  if(type === 'signal:hello') {
+    this.members.add(message.from)
+    post.call(this, { type: 'signal:welcome', from: this.id, to: message.from })
+  } else if(type === 'signal:welcome') {
+    if(to === this.id) {
+      this.members.add(message.from)
+    }
+  } else if(type === 'signal:bye') {
+    this.members.delete(message.from)
+  } else if(to === -1 || to === '-1' || to === this.id) {
+    this.peer.receive(message)
+  }
+}
+
+/**
+ * Posts the message on the channel. Messages are buffered until the first
+ * view has been dispatched.
+ *
+ * @function SignalLocal#send
+ * @param {Message} message
+ */
+SignalLocal.prototype.send = function(message) {
+  if(this.status === 'connecting') {
+    this.buffer.push(message)
+  } else if(this.status === 'open') {
+    message.ttl = 0
+    post.call(this, message)
+  }
+}
+
+/**
+ * Leaves the channel
+ *
+ * @function SignalLocal#close
+ */
+SignalLocal.prototype.close = function() {
+  if(this.status !== 'close') {
+    clearTimeout(this.discovery)
+    post.call(this, { type: 'signal:bye', from: this.id, to: -1 })
+    this.status = 'close'
+    this.port.close()
+  }
+}
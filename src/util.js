@@ -143,37 +143,20 @@ export function contains(element, array) {
 }
 
 /**
- * Checks the properties contained in the message object
+ * Computes the 32 bits FNV-1a hash of a string. It is used to give short
+ * numerical ids to long strings like URLs.
  *
- * @function module:util~messageIsValid
- * @param {Message} msg - Message needing validation
- * @return {boolean} true if the message is valid
+ * @function module:util~hashString
+ * @param {string} string
+ * @return {number} Unsigned 32 bits integer
  */
-export function messageIsValid(msg) {
-  var check = function(params) {
-    return params.map(param => {
-      if(!msg.hasOwnProperty(param) || typeof msg[param] === 'undefined') {
-        console.error('Message#' + param + ' is missing')
-        return false
-      }
-      return true
-    }).reduce(((acc, elt) => acc && elt), true)
+export function hashString(string) {
+  var hash = 0x811c9dc5
+  for(let i = 0; i < string.length; ++i) {
+    hash ^= string.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
   }
-
-  var defaultParams = ['type', 'from', 'to']
-  var additionalParams = [
-    { types: ['request-peer', 'answer', 'icecandidate', 'offer'],
-      params: ['ttl', 'forwardBy']}
-  ]
-  var originals = check(defaultParams)
-  var additionals = additionalParams.map(add => {
-    if(contains(msg.type, add.types)) {
-      return check(add.params)
-    }
-    return true
-  }).reduce(((acc, elt) => acc && elt), true)
-
-  return originals && additionals
+  return hash >>> 0
 }
 
 /**
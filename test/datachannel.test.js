@@ -0,0 +1,165 @@
+'use strict'
+
+var datachannel = require('../src/datachannel.js')
+
+describe('datachannel', function() {
+  var url = 'url/to/my.file'
+  var part = function() {
+    return {
+      type: 'media:part',
+      from: 'a',
+      to: 'b',
+      url: url,
+      number: '4:2:9',
+      data: new Uint8Array([0, 1, 2, 255]).buffer
+    }
+  }
+
+  before(function() {
+    datachannel.registerURL(url)
+  })
+
+  describe('#encode', function() {
+    it('should frame media parts sent to the remote peer', function() {
+      expect(datachannel.encode(part(), 'b')).to.be.instanceof(ArrayBuffer)
+    })
+
+    it('should use JSON for parts which have to be forwarded', function() {
+      var result = JSON.parse(datachannel.encode(part(), 'c'))
+      expect(result.data).to.be.deep.eq([0, 1, 2, 255])
+    })
+
+    it('should use JSON for other messages', function() {
+      var message = { type: 'request-peer', from: 'a', to: 'b' }
+      expect(datachannel.encode(message, 'b'))
+        .to.be.eq(JSON.stringify(message))
+    })
+  })
+
+  describe('#decode', function() {
+    it('should rebuild the framed message', function() {
+      var message = datachannel.decode(datachannel.encode(part(), 'b'))
+      expect(message.type).to.be.eq('media:part')
+      expect(message.from).to.be.eq('a')
+      expect(message.to).to.be.eq('b')
+      expect(message.url).to.be.eq(url)
+      expect(message.number).to.be.eq('4:2:9')
+      expect(Array.from(new Uint8Array(message.data)))
+        .to.be.deep.eq([0, 1, 2, 255])
+    })
+
+    it('should keep the id of the answered request', function() {
+      var message = part()
+      message.inReplyTo = 'request-id'
+      var result = datachannel.decode(datachannel.encode(message, 'b'))
+      expect(result.inReplyTo).to.be.eq('request-id')
+      expect(Array.from(new Uint8Array(result.data)))
+        .to.be.deep.eq([0, 1, 2, 255])
+    })
+
+    it('should keep the routing fields of the message', function() {
+      var message = part()
+      message.ttl = 2
+      message.forwardBy = ['c', 'd']
+      message.messageId = 'a:12'
+      var result = datachannel.decode(datachannel.encode(message, 'b'))
+      expect(result.ttl).to.be.eq(2)
+      expect(result.forwardBy).to.be.deep.eq(['c', 'd'])
+      expect(result.messageId).to.be.eq('a:12')
+      expect(result.inReplyTo).to.be.undefined
+      expect(Array.from(new Uint8Array(result.data)))
+        .to.be.deep.eq([0, 1, 2, 255])
+    })
+
+    it('should drop frames of unknown media', function() {
+      var message = part()
+      message.url = 'unknown'
+      expect(datachannel.decode(datachannel.encode(message, 'b')))
+        .to.be.undefined
+    })
+  })
+
+  describe('#send', function() {
+    var channel
+
+    beforeEach(function() {
+      channel = {
+        readyState: 'open',
+        bufferedAmount: 0,
+        send: sinon.spy()
+      }
+      datachannel.setHandlers(channel, {}, {}, 'b')
+    })
+
+    it('should send at once when the buffer is low', function() {
+      datachannel.send(channel, { type: 'test', from: 'a', to: 'b' }, 'b')
+      expect(channel.send.calledOnce).to.be.true
+    })
+
+    it('should queue messages while the buffer is full', function() {
+      channel.bufferedAmount = datachannel.thresholds.high
+      datachannel.send(channel, { type: 'test', from: 'a', to: 'b' }, 'b')
+      expect(channel.send.called).to.be.false
+
+      channel.bufferedAmount = 0
+      channel.onbufferedamountlow()
+      expect(channel.send.calledOnce).to.be.true
+    })
+
+    it('should send control messages before bulk data', function() {
+      channel.bufferedAmount = datachannel.thresholds.high
+      datachannel.send(channel, part(), 'b')
+      datachannel.send(channel, { type: 'icecandidate', from: 'a', to: 'b' },
+                       'b')
+
+      channel.bufferedAmount = 0
+      channel.onbufferedamountlow()
+      expect(JSON.parse(channel.send.firstCall.args[0]).type)
+        .to.be.eq('icecandidate')
+      expect(channel.send.secondCall.args[0]).to.be.instanceof(ArrayBuffer)
+    })
+  })
+
+  describe('#onopen', function() {
+    it('should dispatch `connected` once every channel is open', function() {
+      var peer = { id: 'a', dispatchMessage: sinon.spy() }
+      var pc = { status: 'connecting', channels: {} }
+      Object.keys(datachannel.channels).forEach(function(name) {
+        pc.channels[name] = datachannel.setHandlers(
+          { label: name, readyState: 'connecting', bufferedAmount: 0 },
+          peer, pc, 'b')
+      })
+
+      pc.channels.control.readyState = 'open'
+      pc.channels.control.onopen({ target: pc.channels.control })
+      expect(peer.dispatchMessage.called).to.be.false
+
+      pc.channels.bulk.readyState = 'open'
+      pc.channels.bulk.onopen({ target: pc.channels.bulk })
+      expect(peer.dispatchMessage.calledOnce).to.be.true
+      expect(peer.dispatchMessage.firstCall.args[0].type).to.be.eq('connected')
+      expect(pc.status).to.be.eq('open')
+    })
+
+    it('should dispatch `connected` when a legacy channel opens', function() {
+      var peer = { id: 'a', dispatchMessage: sinon.spy() }
+      var pc = { status: 'connecting', channels: {} }
+      pc.channels.control = datachannel.setHandlers(
+        { label: 'b-a', readyState: 'connecting', bufferedAmount: 0 },
+        peer, pc, 'b')
+
+      pc.channels.control.readyState = 'open'
+      pc.channels.control.onopen({ target: pc.channels.control })
+      expect(peer.dispatchMessage.calledOnce).to.be.true
+      expect(peer.dispatchMessage.firstCall.args[0].type).to.be.eq('connected')
+      expect(pc.status).to.be.eq('open')
+    })
+  })
+
+  describe('#channelOf', function() {
+    it('should send media parts on the bulk channel', function() {
+      expect(datachannel.channelOf(part())).to.be.eq('bulk')
+      expect(datachannel.channelOf({ type: 'offer' })).to.be.eq('control')
+    })
+  })
+})
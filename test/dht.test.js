@@ -0,0 +1,194 @@
+'use strict'
+
+var Peer = require('../src/peer.js')
+var DHT = require('../src/extensions/dht.js')
+var SignalLocal = require('../src/signalLocal.js')
+var util = require('../src/util.js')
+
+describe('DHT', function() {
+  var url = 'url/to/my.file'
+  var peer
+
+  var connection = function() {
+    return { status: 'open', send: sinon.spy(), close: function() {} }
+  }
+
+  // Returns an id closer to the key than the given id
+  var closerThan = function(id, key) {
+    var limit = DHT.distance(util.hashString(id), key)
+    for(var i = 0; ; ++i) {
+      if(DHT.distance(util.hashString('n' + i), key) < limit) {
+        return 'n' + i
+      }
+    }
+  }
+
+  beforeEach(function() {
+    peer = new Peer({
+      signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+      extensions: [{ name: 'dht' }]
+    })
+    peer.id = '1'
+    peer.connections.get('signal').close()
+    peer.connections.delete('signal')
+  })
+
+  afterEach(function() {
+    peer.destroy()
+  })
+
+  describe('#bucketIndex', function() {
+    it('should use the highest differing bit', function() {
+      expect(DHT.bucketIndex(0, 1)).to.be.eq(0)
+      expect(DHT.bucketIndex(0, 6)).to.be.eq(2)
+      expect(DHT.bucketIndex(0, 0x80000000)).to.be.eq(31)
+      expect(DHT.bucketIndex(42, 42)).to.be.eq(-1)
+    })
+  })
+
+  describe('#nextHop', function() {
+    it('should route through the closest neighbour', function() {
+      var target = 'far away'
+      var key = util.hashString(target)
+      var neighbour = closerThan(peer.id, key)
+      var other = connection()
+      peer.connections.set(neighbour, connection())
+      peer.connections.set(peer.id + 'x', other)
+
+      var expected = DHT.distance(util.hashString(peer.id + 'x'), key) <
+            DHT.distance(util.hashString(neighbour), key) ?
+            peer.id + 'x' : neighbour
+      expect(peer.nextHop({ to: target })).to.be.eq(expected)
+    })
+
+    it('should not route through farther neighbours', function() {
+      var target = 'far away'
+      var key = util.hashString(target)
+      var neighbour = closerThan(peer.id, key)
+      peer.id = closerThan(neighbour, key)
+      peer.connections.set(neighbour, connection())
+      expect(peer.nextHop({ to: target })).to.be.undefined
+    })
+  })
+
+  describe('#findProviders', function() {
+    it('should find the parts announced on the peer', function() {
+      var clock = sinon.useFakeTimers()
+      peer.announce(url, [1, 2])
+      clock.tick(DHT.announceDelay)
+      var lookup = peer.findProviders(url, 2)
+      clock.restore()
+      return lookup.then(function(providers) {
+        expect(providers).to.have.length(1)
+        expect(providers[0].id).to.be.eq('1')
+        expect(providers[0].parts).to.be.deep.eq([1, 2])
+      })
+    })
+
+    it('should forward lookups to a closer peer', function() {
+      var neighbour = closerThan(peer.id, util.hashString(url))
+      var hop = connection()
+      var outbound = sinon.spy((message, next) => next(message))
+      peer.use({ outbound })
+      peer.connections.set(neighbour, hop)
+      peer.dispatchMessage({
+        type: 'dht:find-providers',
+        from: 'a',
+        to: peer.id,
+        ttl: 3,
+        forwardBy: [],
+        data: { key: util.hashString(url), url: url, part: 1 }
+      })
+      expect(hop.send.calledOnce).to.be.true
+      var forwarded = hop.send.firstCall.args[0]
+      expect(forwarded.to).to.be.eq(neighbour)
+      expect(forwarded.from).to.be.eq('a')
+      expect(forwarded.forwardBy).to.be.deep.eq(['1'])
+      expect(outbound.called).to.be.false
+    })
+  })
+
+  describe('Routing', function() {
+    it('should broadcast to every neighbour', function() {
+      var first = connection()
+      var second = connection()
+      peer.connections.set('a', first)
+      peer.connections.set('b', second)
+      peer.requestPeer()
+      expect(first.send.calledOnce).to.be.true
+      expect(second.send.calledOnce).to.be.true
+    })
+
+    it('should not use the ttl of routed messages', function() {
+      var target = 'far away'
+      var neighbour = closerThan(peer.id, util.hashString(target))
+      var hop = connection()
+      peer.connections.set(neighbour, hop)
+      peer.forward({
+        type: 'test',
+        from: 'a',
+        to: target,
+        ttl: 0,
+        forwardBy: ['a'],
+        data: ''
+      })
+      expect(hop.send.calledOnce).to.be.true
+      var forwarded = hop.send.firstCall.args[0]
+      expect(forwarded.ttl).to.be.eq(0)
+      expect(forwarded.forwardBy).to.be.deep.eq(['a', '1'])
+    })
+
+    it('should drop routed messages after the hop limit', function() {
+      var target = 'far away'
+      var neighbour = closerThan(peer.id, util.hashString(target))
+      var hop = connection()
+      peer.connections.set(neighbour, hop)
+      peer.maxHops = 2
+      peer.forward({
+        type: 'test',
+        from: 'a',
+        to: target,
+        ttl: 3,
+        forwardBy: ['a', 'b'],
+        data: ''
+      })
+      expect(hop.send.called).to.be.false
+    })
+  })
+
+  describe('Buckets', function() {
+    var viewUpdate = function(ids) {
+      return {
+        type: 'gossip:view-update',
+        from: peer.id,
+        to: peer.id,
+        data: ids.map(id => ({ id: id, age: 0 }))
+      }
+    }
+
+    it('should not repeat the connection requests of a bucket', function() {
+      var clock = sinon.useFakeTimers()
+      sinon.stub(peer, 'requestPeer')
+      peer.dispatchMessage(viewUpdate(['a']))
+      peer.dispatchMessage(viewUpdate(['a']))
+      expect(peer.requestPeer.calledOnce).to.be.true
+
+      clock.tick(peer.connectionTimeout)
+      peer.dispatchMessage(viewUpdate(['a']))
+      expect(peer.requestPeer.calledTwice).to.be.true
+      clock.restore()
+    })
+
+    it('should keep the options per instance', function() {
+      var other = new Peer({
+        signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+        extensions: [{ name: 'dht', k: 2, providerTTL: 1000 }]
+      })
+      expect(other.dht.k).to.be.eq(2)
+      expect(other.dht.providerTTL).to.be.eq(1000)
+      expect(peer.dht.k).to.be.eq(DHT.k)
+      expect(peer.dht.providerTTL).to.be.eq(DHT.providerTTL)
+      other.destroy()
+    })
+  })
+})
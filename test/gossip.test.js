@@ -9,6 +9,20 @@ var sortObjArray = function(a, b) {
 
 describe('Gossip', function() {
 
+  describe('@constructor', function() {
+    var Gossip = require('../src/extensions/gossip.js')
+
+    it('should throw with an unknown algorithm', function() {
+      expect(() => Gossip.call({}, { algorithm: 'nope' }))
+        .to.throw('Unknown gossip algorithm nope')
+    })
+
+    it('should throw with an unknown penalty', function() {
+      expect(() => Gossip.call({}, { penalty: 'nope' }))
+        .to.throw('Unknown penalty nope')
+    })
+  })
+
   describe('GossipRPS', function() {
     var GossipRPS = require('../src/extensions/gossipRPS.js')
     var gossip
@@ -148,4 +162,174 @@ describe('Gossip', function() {
       })
     })
   })
+
+  describe('GossipCyclon', function() {
+    var GossipCyclon = require('../src/extensions/gossipCyclon.js')
+    var gossip
+    var view
+
+    beforeEach(function() {
+      gossip = new GossipCyclon('self', {C: 5, L: 3})
+      view = [
+        {id: 'a', age: 1},
+        {id: 'b', age: 2},
+        {id: 'c', age: 3},
+        {id: 'd', age: 4},
+        {id: 'e', age: 5}]
+    })
+
+    it('should select the oldest neighbour', function() {
+      var result = gossip.selectRemotePeer(gossip.selectionMethod, view)
+      expect(result).to.be.eq('e')
+    })
+
+    describe('#genBuffer', function() {
+      it('active: should remove the remote peer from the view', function() {
+        var buffer = gossip.genBuffer('active', 'e', view)
+        expect(buffer.length).to.be.eq(3)
+        expect(R.pluck('id', view)).to.not.include('e')
+        expect(R.pluck('id', buffer)).to.not.include('e')
+        expect(R.last(buffer)).to.be.deep.eq({id: 'self', age: 0})
+      })
+
+      it('passive: should return L descriptors of the view', function() {
+        var buffer = gossip.genBuffer('passive', 'e', view)
+        expect(buffer.length).to.be.eq(3)
+        expect(R.pluck('id', buffer)).to.not.include('e')
+        expect(view.length).to.be.eq(5)
+      })
+    })
+
+    describe('#mergeView', function() {
+      it('should fill the empty slots first', function() {
+        view = view.slice(0, 3)
+        var result = gossip.mergeView(
+          [{id: 'x', age: 0}, {id: 'y', age: 0}], [{id: 'a', age: 1}], view)
+        expect(R.pluck('id', result)).to.be.deep.eq(['a', 'b', 'c', 'x', 'y'])
+      })
+
+      it('should replace the descriptors sent', function() {
+        var sent = [{id: 'b', age: 2}, {id: 'self', age: 0}, {id: 'd', age: 4}]
+        var result = gossip.mergeView(
+          [{id: 'x', age: 0}, {id: 'y', age: 0}, {id: 'z', age: 0}], sent, view)
+        // No more room once the sent descriptors have been swapped
+        expect(R.pluck('id', result)).to.be.deep.eq(['a', 'x', 'c', 'y', 'e'])
+      })
+
+      it('should discard known and own descriptors', function() {
+        var result = gossip.mergeView(
+          [{id: 'self', age: 0}, {id: 'a', age: 0}], [{id: 'b', age: 2}], view)
+        expect(result).to.be.deep.eq(view)
+      })
+    })
+  })
+
+  describe('GossipTMan', function() {
+    var GossipTMan = require('../src/extensions/gossipTMan.js')
+    var gossip
+    var view
+
+    beforeEach(function() {
+      gossip = new GossipTMan('self', {C: 3, m: 2, psi: 1, distance: 'playback'})
+      gossip.selfDescriptor.playback = {url: 100}
+      view = [
+        {id: 'a', age: 1, playback: {url: 10}},
+        {id: 'b', age: 2, playback: {url: 95}},
+        {id: 'c', age: 3, playback: {other: 100}},
+        {id: 'd', age: 4, playback: {url: 130}}]
+    })
+
+    it('should throw with an unknown distance', function() {
+      expect(() => new GossipTMan('self', {distance: 'nope'}))
+        .to.throw('Unknown distance nope')
+    })
+
+    it('should select the closest neighbour', function() {
+      var result = gossip.selectRemotePeer(gossip.selectionMethod, view)
+      expect(result).to.be.eq('b')
+    })
+
+    it('should send the descriptors the closest to the remote', function() {
+      var buffer = gossip.genBuffer('active', 'd', view)
+      expect(R.pluck('id', buffer)).to.be.deep.eq(['self', 'b'])
+    })
+
+    it('should keep the C closest descriptors', function() {
+      var result = gossip.mergeView(
+        [{id: 'e', age: 0, playback: {url: 101}}, {id: 'self', age: 0}],
+        [], view)
+      expect(R.pluck('id', result)).to.be.deep.eq(['e', 'b', 'd'])
+    })
+
+    it('should forget the round trip times of removed peers', function() {
+      gossip.distance = GossipTMan.distances.rtt
+      gossip.updateRTT('a', 30)
+      gossip.updateRTT('b', 10)
+      gossip.updateRTT('z', 5)
+      var result = gossip.mergeView([], [], view)
+      expect(R.pluck('id', result)).to.be.deep.eq(['b', 'a', 'c'])
+      expect(gossip.selfDescriptor.rtt).to.be.deep.eq({a: 30, b: 10})
+    })
+
+    describe('distances', function() {
+      it('parts: should compare the parts held', function() {
+        var parts = GossipTMan.distances.parts
+        var a = {id: 'a', media: {url: [1, 2, 3]}}
+        expect(parts(a, {id: 'b', media: {url: [1, 2, 3]}})).to.be.eq(0)
+        expect(parts(a, {id: 'b', media: {url: [3, 4]}})).to.be.eq(0.75)
+        expect(parts(a, {id: 'b', media: {other: [1]}})).to.be.eq(1)
+        expect(parts({id: 'a'}, {id: 'b'})).to.be.eq(Infinity)
+      })
+    })
+  })
+
+  describe('GossipStats', function() {
+    var GossipStats = require('../src/extensions/gossipStats.js')
+    var stats
+
+    beforeEach(function() {
+      stats = new GossipStats([{id: 'a', age: 0}, {id: 'b', age: 0}])
+    })
+
+    it('should count the exchanges', function() {
+      stats.exchange('attempted')
+      stats.exchange('attempted')
+      stats.exchange('completed')
+      stats.exchange('timedOut')
+      stats.answer('c')
+      var report = stats.report([])
+      expect(report.exchanges).to.be.deep.eq({
+        attempted: 2,
+        completed: 1,
+        timedOut: 1,
+        failed: 0,
+        answered: 1
+      })
+      expect(report.successRate).to.be.eq(0.5)
+    })
+
+    it('should count the view churn', function() {
+      stats.updateView([{id: 'b', age: 1}, {id: 'c', age: 0}, {id: 'd', age: 0}])
+      stats.updateView([{id: 'b', age: 2}, {id: 'c', age: 1}, {id: 'd', age: 1}])
+      expect(stats.report([]).churn).to.be.deep.eq({added: 2, removed: 1})
+    })
+
+    it('should estimate the in-degree since the previous report', function() {
+      stats.answer('c')
+      stats.answer('c')
+      stats.answer('d')
+      expect(stats.report([]).inDegree).to.be.eq(2)
+      expect(stats.report([]).inDegree).to.be.eq(0)
+    })
+
+    it('should describe the ages of the view', function() {
+      var report = stats.report(
+        [{id: 'a', age: 1}, {id: 'b', age: 1}, {id: 'c', age: 4}])
+      expect(report.view).to.be.deep.eq({
+        size: 3,
+        averageAge: 2,
+        ageHistogram: {1: 2, 4: 1}
+      })
+    })
+  })
 })
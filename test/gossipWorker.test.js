@@ -0,0 +1,230 @@
+'use strict'
+
+var GossipWorker = require('../src/extensions/gossipWorker.js')
+
+describe('GossipWorker', function() {
+  var worker, clock
+
+  var sent = function(type) {
+    return worker.send.args
+      .map(args => args[0])
+      .filter(message => message.type === type)
+  }
+
+  // Lets the promise callbacks of the requests run
+  var settle = function() {
+    return Promise.resolve().then(() => {}).then(() => {})
+  }
+
+  var start = function(options) {
+    worker.dispatchMessage({
+      type: 'gossip:init',
+      from: '1',
+      to: '1',
+      data: options
+    })
+    worker.dispatchMessage({
+      type: 'first-view',
+      from: 'signal',
+      to: '1',
+      data: { id: '1', view: [{ id: '2', age: 0 }, { id: '3', age: 0 }] }
+    })
+  }
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers()
+    worker = new GossipWorker()
+    worker.send = sinon.spy()
+  })
+
+  afterEach(function() {
+    worker.dispatchMessage({ type: 'peer:destroyed', from: '1', to: '1' })
+    clock.restore()
+  })
+
+  describe('Exchange outcome', function() {
+    it('should count an exchange without answer as timed out', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100 })
+      clock.tick(1000)
+      expect(sent('gossip:request-exchange')).to.have.length(1)
+      clock.tick(100)
+      return settle().then(() => {
+        expect(worker.stats.exchanges.timedOut).to.be.eq(1)
+        expect(worker.stats.exchanges.failed).to.be.eq(0)
+      })
+    })
+
+    it('should count a lost connection as failed', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100 })
+      clock.tick(1000)
+      var request = sent('gossip:request-exchange')[0]
+      // The connection is lost right before the timeout
+      clock.tick(99)
+      worker.dispatchMessage({
+        type: 'disconnected',
+        from: request.to,
+        to: '1'
+      })
+      return settle().then(() => {
+        expect(worker.stats.exchanges.timedOut).to.be.eq(0)
+        expect(worker.stats.exchanges.failed).to.be.eq(1)
+      })
+    })
+
+    it('should not count an error handling the reply as failed', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100 })
+      clock.tick(1000)
+      var request = sent('gossip:request-exchange')[0]
+      sinon.stub(worker.algo, 'mergeView').throws(new Error('merge'))
+      sinon.stub(console, 'error')
+      worker.dispatchMessage({
+        type: 'gossip:answer-exchange',
+        from: request.to,
+        to: '1',
+        data: [],
+        inReplyTo: request.requestId
+      })
+      return settle().then(settle).then(() => {
+        var logged = console.error.called
+        console.error.restore()
+        expect(logged).to.be.true
+        expect(worker.stats.exchanges.completed).to.be.eq(1)
+        expect(worker.stats.exchanges.failed).to.be.eq(0)
+        expect(worker.view).to.have.length(2)
+      })
+    })
+  })
+
+  describe('#send', function() {
+    var postMessage = self.postMessage
+
+    afterEach(function() {
+      self.postMessage = postMessage
+    })
+
+    it('should give the timeout of the exchange with the messages', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100 })
+      self.postMessage = sinon.spy()
+      worker.send = GossipWorker.prototype.send
+
+      clock.tick(1000)
+      var request = self.postMessage.firstCall.args[0]
+      expect(request.message.type).to.be.eq('gossip:request-exchange')
+      expect(request.timeout).to.be.eq(100)
+
+      worker.dispatchMessage({
+        type: 'gossip:request-exchange',
+        from: '2',
+        to: '1',
+        data: [],
+        ttl: 0,
+        forwardBy: [],
+        requestId: 'r'
+      })
+      var answer = self.postMessage.args
+        .map(args => args[0])
+        .filter(sent => sent.message.type === 'gossip:answer-exchange')[0]
+      expect(answer.timeout).to.be.eq(100)
+    })
+  })
+
+  describe('Penalty', function() {
+    it('should evict a peer which did not answer', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100 })
+      clock.tick(1000)
+      var request = sent('gossip:request-exchange')[0]
+      clock.tick(100)
+      return settle().then(() => {
+        expect(worker.view.map(nd => nd.id)).to.not.include(request.to)
+        expect(worker.view).to.have.length(1)
+      })
+    })
+
+    it('should age a peer which did not answer', function() {
+      start({
+        gossipPeriod: 1000,
+        exchangeTimeout: 100,
+        penalty: 'age',
+        penaltyAge: 7
+      })
+      clock.tick(1000)
+      var request = sent('gossip:request-exchange')[0]
+      clock.tick(100)
+      return settle().then(() => {
+        var descriptor = worker.view.filter(nd => nd.id === request.to)[0]
+        expect(descriptor.age).to.be.eq(7)
+        expect(worker.view).to.have.length(2)
+      })
+    })
+
+    it('should evict a peer whose connection was lost', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100 })
+      clock.tick(1000)
+      var request = sent('gossip:request-exchange')[0]
+      worker.dispatchMessage({
+        type: 'disconnected',
+        from: request.to,
+        to: '1'
+      })
+      return settle().then(() => {
+        expect(worker.view.map(nd => nd.id)).to.not.include(request.to)
+      })
+    })
+  })
+
+  describe('Retries', function() {
+    it('should try another peer in the same period', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100, retries: 1 })
+      clock.tick(1000)
+      clock.tick(100)
+      return settle().then(() => {
+        var requests = sent('gossip:request-exchange')
+        // The next period starts at 2000
+        expect(Date.now()).to.be.below(2000)
+        expect(requests).to.have.length(2)
+        expect(requests[1].to).to.not.be.eq(requests[0].to)
+        expect(worker.stats.exchanges.attempted).to.be.eq(2)
+      })
+    })
+
+    it('should not retry past the end of the period', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 600, retries: 1 })
+      clock.tick(1000)
+      clock.tick(600)
+      return settle().then(() => {
+        expect(sent('gossip:request-exchange')).to.have.length(1)
+      })
+    })
+  })
+
+  describe('Cleanup', function() {
+    it('should not leave listeners or requests behind', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 100, retries: 1 })
+      var listeners = worker.listenerCount()
+      clock.tick(1000)
+      clock.tick(100)
+      return settle().then(() => {
+        clock.tick(100)
+        return settle()
+      }).then(() => {
+        expect(sent('gossip:request-exchange')).to.have.length(2)
+        expect(worker.requests.size).to.be.eq(0)
+        expect(worker.listenerCount()).to.be.eq(listeners)
+      })
+    })
+
+    it('should stop the periodic tasks when the peer is destroyed', function() {
+      start({ gossipPeriod: 1000, exchangeTimeout: 500, statsPeriod: 1000 })
+      clock.tick(1000)
+      worker.dispatchMessage({ type: 'peer:destroyed', from: '1', to: '1' })
+      return settle().then(() => {
+        expect(worker.requests.size).to.be.eq(0)
+        expect(worker.stats.exchanges.failed).to.be.eq(0)
+        expect(worker.view).to.have.length(2)
+        var count = worker.send.callCount
+        clock.tick(5000)
+        expect(worker.send.callCount).to.be.eq(count)
+      })
+    })
+  })
+})
@@ -0,0 +1,207 @@
+'use strict'
+
+var Peer = require('../src/peer.js')
+var HyParView = require('../src/extensions/hyparview.js')
+var SignalLocal = require('../src/signalLocal.js')
+
+describe('HyParView', function() {
+  var peer
+
+  var sent = function(type) {
+    return peer.send.args
+      .map(args => args[0])
+      .filter(message => message.type === type)
+  }
+
+  var receive = function(type, from, data) {
+    peer.dispatchMessage({
+      type: type,
+      from: from,
+      to: peer.id,
+      data: data,
+      ttl: 3,
+      forwardBy: []
+    })
+  }
+
+  beforeEach(function() {
+    peer = new Peer({
+      signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+      extensions: [{ name: 'gossip', algorithm: 'hyparview' }]
+    })
+    peer.connections.get('signal').close()
+    peer.connections.delete('signal')
+    sinon.stub(peer, 'send')
+    peer.dispatchMessage({
+      type: 'first-view',
+      from: 'signal',
+      to: 'self',
+      data: { id: '1', view: [{ id: '2', age: 0 }, { id: '3', age: 0 }] }
+    })
+  })
+
+  afterEach(function() {
+    peer.destroy()
+  })
+
+  it('should join the overlay through a contact of the first view', function() {
+    var joins = sent('hyparview:join')
+    expect(joins.length).to.be.eq(1)
+    var contact = joins[0].to
+    expect(joins[0].data.id).to.be.eq('1')
+    expect([...peer.hyparview.active.keys()]).to.be.deep.eq([contact])
+    expect([...peer.hyparview.passive.keys()])
+      .to.be.deep.eq([contact === '2' ? '3' : '2'])
+    expect(peer.view).to.be.deep.eq([{ id: contact, age: 0 }])
+  })
+
+  it('should not let the peer replace the active view', function() {
+    // The peer only keeps the first view if no extension built one: this
+    // relies on the listener of the extension being called first
+    expect(peer.view).to.be.deep.eq([...peer.hyparview.active.values()])
+    expect(peer.view).to.have.length(1)
+  })
+
+  it('should keep the options per instance', function() {
+    var other = new Peer({
+      signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+      extensions: [{
+        name: 'gossip',
+        algorithm: 'hyparview',
+        activeSize: 2,
+        passiveSize: 4,
+        activeWalk: 3,
+        passiveWalk: 1,
+        gossipPeriod: 100
+      }]
+    })
+    expect(other.hyparview.activeSize).to.be.eq(2)
+    expect(other.hyparview.passiveSize).to.be.eq(4)
+    expect(other.hyparview.activeWalk).to.be.eq(3)
+    expect(other.hyparview.passiveWalk).to.be.eq(1)
+    expect(other.hyparview.shufflePeriod).to.be.eq(100)
+    expect(peer.hyparview.activeSize).to.be.eq(HyParView.activeSize)
+    expect(HyParView.shufflePeriod).to.be.eq(2500)
+    other.destroy()
+  })
+
+  it('should propagate a join to the other neighbours', function() {
+    var contact = peer.view[0].id
+    receive('hyparview:join', '4', { id: '4', age: 0 })
+
+    expect(peer.hyparview.active.has('4')).to.be.true
+    var forwards = sent('hyparview:forward-join')
+    expect(forwards.length).to.be.eq(1)
+    expect(forwards[0].to).to.be.eq(contact)
+    expect(forwards[0].data).to.be.deep.eq({
+      descriptor: { id: '4', age: 0 },
+      ttl: peer.hyparview.activeWalk
+    })
+  })
+
+  // Answers the neighbor request sent to a peer
+  var reply = function(to, accepted) {
+    var request = sent('hyparview:neighbor').filter(m => m.to === to)[0]
+    peer.dispatchMessage({
+      type: 'hyparview:neighbor:reply',
+      from: to,
+      to: peer.id,
+      data: { descriptor: { id: to, age: 0 }, accepted: accepted },
+      inReplyTo: request.requestId
+    })
+    // The request promise settles asynchronously
+    return Promise.resolve()
+  }
+
+  it('should add the peer at the end of a forwarded join', function() {
+    receive('hyparview:forward-join', peer.view[0].id, {
+      descriptor: { id: '4', age: 0 },
+      ttl: 0
+    })
+
+    var neighbors = sent('hyparview:neighbor')
+    expect(neighbors.length).to.be.eq(1)
+    expect(neighbors[0].to).to.be.eq('4')
+    expect(neighbors[0].data.priority).to.be.eq('high')
+    expect(peer.hyparview.active.has('4')).to.be.false
+
+    return reply('4', true).then(() => {
+      expect(peer.hyparview.active.has('4')).to.be.true
+    })
+  })
+
+  it('should keep a refusing peer in the passive view', function() {
+    sinon.stub(peer, 'closeConnection')
+    receive('hyparview:forward-join', peer.view[0].id, {
+      descriptor: { id: '4', age: 0 },
+      ttl: 0
+    })
+
+    return reply('4', false).then(() => {
+      expect(peer.hyparview.active.has('4')).to.be.false
+      expect(peer.hyparview.passive.has('4')).to.be.true
+      expect(peer.closeConnection.calledWith('4')).to.be.true
+    })
+  })
+
+  it('should drop a random neighbour when the active view is full', function() {
+    peer.hyparview.activeSize = 1
+    var contact = peer.view[0].id
+    receive('hyparview:join', '4', { id: '4', age: 0 })
+
+    expect([...peer.hyparview.active.keys()]).to.be.deep.eq(['4'])
+    expect(peer.hyparview.passive.has(contact)).to.be.true
+    expect(sent('hyparview:disconnect')[0].to).to.be.eq(contact)
+  })
+
+  it('should refuse low priority neighbours when the view is full', function() {
+    peer.hyparview.activeSize = 1
+    peer.respondTo = sinon.spy()
+    receive('hyparview:neighbor', '4', {
+      descriptor: { id: '4', age: 0 },
+      priority: 'low'
+    })
+
+    expect(peer.hyparview.active.has('4')).to.be.false
+    expect(peer.respondTo.args[0][1].data.accepted).to.be.false
+  })
+
+  it('should replace a lost neighbour with a passive peer', function() {
+    var contact = peer.view[0].id
+    var other = contact === '2' ? '3' : '2'
+    receive('disconnected', contact)
+
+    expect(peer.hyparview.active.size).to.be.eq(0)
+    expect(peer.view).to.be.deep.eq([])
+    var neighbors = sent('hyparview:neighbor')
+    expect(neighbors.length).to.be.eq(1)
+    expect(neighbors[0].to).to.be.eq(other)
+    expect(neighbors[0].data.priority).to.be.eq('high')
+  })
+
+  it('should throttle the sending of the descriptor', function() {
+    var clock = sinon.useFakeTimers()
+    var contact = peer.view[0].id
+    var update = function(value) {
+      peer.dispatchMessage({
+        type: 'gossip:descriptor-update',
+        from: peer.id,
+        to: peer.id,
+        data: { path: ['playback', 'url'], value: value }
+      })
+    }
+
+    try {
+      update(1)
+      update(2)
+      expect(sent('hyparview:descriptor')).to.be.empty
+      clock.tick(peer.hyparview.descriptorDelay)
+      var descriptors = sent('hyparview:descriptor')
+      expect(descriptors.length).to.be.eq(1)
+      expect(descriptors[0].to).to.be.eq(contact)
+      expect(descriptors[0].data.playback.url).to.be.eq(2)
+    } finally {
+      clock.restore()
+    }
+  })
+})
@@ -0,0 +1,57 @@
+'use strict'
+
+var MessageCache = require('../src/messageCache.js')
+
+describe('MessageCache', function() {
+
+  it('should remember the added ids', function() {
+    var cache = new MessageCache()
+    cache.add('a:1')
+    expect(cache.has('a:1')).to.be.true
+    expect(cache.has('a:2')).to.be.false
+  })
+
+  it('should evict the least recently seen id', function() {
+    var cache = new MessageCache({ maxSize: 2 })
+    cache.add('a:1')
+      .add('a:2')
+      .add('a:1')
+      .add('a:3')
+    expect(cache.has('a:1')).to.be.true
+    expect(cache.has('a:2')).to.be.false
+    expect(cache.has('a:3')).to.be.true
+  })
+
+  it('should forget ids after maxAge', function() {
+    var clock = sinon.useFakeTimers()
+    var cache = new MessageCache({ maxAge: 1000 })
+    cache.add('a:1')
+    clock.tick(999)
+    expect(cache.has('a:1')).to.be.true
+    clock.tick(1)
+    expect(cache.has('a:1')).to.be.false
+    expect(cache.entries.size).to.be.eq(0)
+    clock.restore()
+  })
+
+  it('should only forget the expired ids', function() {
+    var clock = sinon.useFakeTimers()
+    var cache = new MessageCache({ maxAge: 1000 })
+    cache.add('a:1')
+    clock.tick(500)
+    cache.add('a:2')
+      .add('a:3')
+    clock.tick(500)
+    expect(cache.has('a:2')).to.be.true
+    expect(Array.from(cache.entries.keys())).to.be.deep.eq(['a:2', 'a:3'])
+    clock.restore()
+  })
+
+  it('should use the options of the instance', function() {
+    var cache = new MessageCache({ maxSize: 1, maxAge: 10 })
+    expect(cache.maxSize).to.be.eq(1)
+    expect(cache.maxAge).to.be.eq(10)
+    expect(MessageCache.maxSize).to.be.eq(1000)
+    expect(MessageCache.maxAge).to.be.eq(30000)
+  })
+})
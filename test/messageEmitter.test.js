@@ -139,6 +139,65 @@ describe('MessageEmitter', function() {
       expect(me.listenerCount()).to.be.eq(0)
     })
 
+    it('should only remove the listeners of the given type', function() {
+      var me = new ME()
+      me.on('multi', function() {})
+      me.on('multi2', function() {})
+      me.removeAllListeners('multi')
+      expect(me.listenerCount()).to.be.eq(1)
+      expect(me.listenerCount('multi')).to.be.eq(0)
+    })
+
+  })
+
+  describe('#off', function() {
+    var me
+    var l1 = function() {}
+    var l2 = function() {}
+
+    beforeEach(function() {
+      me = new ME()
+      me.on('media:part', l1)
+        .on('media:head', l2)
+        .on('media:*', l1)
+        .on('gossip:view-update', l1)
+    })
+
+    it('should remove a listener of a type', function() {
+      me.off('media:part', l1)
+      expect(me.listenerCount('media:part')).to.be.eq(0)
+      expect(me.listenerCount()).to.be.eq(3)
+    })
+
+    it('should remove a listener from a whole namespace', function() {
+      me.off('media:*', l1)
+      expect(me.listenerCount()).to.be.eq(2)
+      expect(me.listenerCount('media:head')).to.be.eq(1)
+    })
+
+    it('should remove every listener of a namespace', function() {
+      me.off('media:*')
+      expect(me.listenerCount()).to.be.eq(1)
+      expect(me.listenerCount('gossip:view-update')).to.be.eq(1)
+    })
+
+    it('should remove everything with `*`', function() {
+      me.off('*')
+      expect(me.listenerCount()).to.be.eq(0)
+    })
+  })
+
+  describe('#listenerCount', function() {
+    it('should only count the exact subscriptions of a type', function() {
+      var me = new ME()
+      me.on('*', sinon.spy())
+        .on('gossip:*', sinon.spy())
+        .on('gossip:view-update', sinon.spy())
+      expect(me.listenerCount('gossip:view-update')).to.be.eq(1)
+      expect(me.listenerCount('gossip:*')).to.be.eq(1)
+      expect(me.listenerCount('*')).to.be.eq(1)
+      expect(me.listenerCount()).to.be.eq(3)
+    })
   })
 
   describe('#dispatchMessage', function() {
@@ -184,5 +243,177 @@ describe('MessageEmitter', function() {
       expect(check2).to.be.true
     })
 
+    it('should trigger the listeners of the namespace', function() {
+      var me = new ME()
+      var listener = sinon.spy()
+      var other = sinon.spy()
+      me.on('media:*', listener)
+        .on('gossip:*', other)
+      me.dispatchMessage({ type: 'media:part', from: 'a', to: 'b' })
+      expect(listener.calledOnce).to.be.true
+      expect(other.called).to.be.false
+    })
+
+    it('should trigger the listeners of every message', function() {
+      var me = new ME()
+      var listener = sinon.spy()
+      me.on('*', listener)
+      me.dispatchMessage(message)
+      me.dispatchMessage({ type: 'media:part', from: 'a', to: 'b' })
+      expect(listener.calledTwice).to.be.true
+    })
+
+    it('should call a listener once for several subscriptions', function() {
+      var me = new ME()
+      var listener = sinon.spy()
+      me.on('media:part', listener)
+        .on('media:*', listener)
+        .on('*', listener)
+      me.dispatchMessage({ type: 'media:part', from: 'a', to: 'b' })
+      expect(listener.calledOnce).to.be.true
+    })
+
+    it('should call every listener even if one throws', function() {
+      var me = new ME()
+      var listener = sinon.spy()
+      var onerror = sinon.spy()
+      var failing = function failingListener() {
+        throw new Error('failure')
+      }
+      me.on('type', failing)
+        .on('type', listener)
+        .on('error', onerror)
+      me.dispatchMessage(message)
+      expect(listener.calledOnce).to.be.true
+      expect(onerror.calledOnce).to.be.true
+
+      var data = onerror.firstCall.args[0].data
+      expect(data.message).to.be.eq(message)
+      expect(data.listener).to.be.eq('failingListener')
+      expect(data.error.message).to.be.eq('failure')
+    })
+
+    it('should report rejected promises of listeners', function(done) {
+      var me = new ME()
+      me.on('type', function() {
+        return Promise.reject(new Error('async failure'))
+      })
+      me.on('error', function(error) {
+        expect(error.data.error.message).to.be.eq('async failure')
+        done()
+      })
+      me.dispatchMessage(message)
+    })
+
+    it('should log errors if nobody listens to them', function() {
+      var me = new ME()
+      sinon.stub(console, 'error')
+      me.on('type', function() {
+        throw new Error('failure')
+      })
+      try {
+        me.dispatchMessage(message)
+        expect(console.error.calledOnce).to.be.true
+      } finally {
+        console.error.restore()
+      }
+    })
+
+    it('should report errors to wildcard listeners', function() {
+      var me = new ME()
+      var wildcard = sinon.spy()
+      sinon.stub(console, 'error')
+      me.on('type', function() {
+        throw new Error('failure')
+      })
+      me.on('*', wildcard)
+      try {
+        me.dispatchMessage(message)
+        expect(console.error.called).to.be.false
+        expect(wildcard.calledTwice).to.be.true
+        expect(wildcard.args.map(args => args[0].type))
+          .to.have.members(['type', 'error'])
+      } finally {
+        console.error.restore()
+      }
+    })
+
+    it('should reject malformed messages', function() {
+      var me = new ME()
+      var listener = sinon.spy()
+      var diagnostic = sinon.spy()
+      me.on('type', listener)
+        .on('message:invalid', diagnostic)
+      me.dispatchMessage({ type: 'type', from: 'a' })
+      expect(listener.called).to.be.false
+      expect(diagnostic.calledOnce).to.be.true
+      expect(diagnostic.firstCall.args[0].data.errors)
+        .to.be.deep.eq(['Message#to is missing'])
+    })
+
+  })
+
+  describe('#request', function() {
+    var me, sent
+
+    beforeEach(function() {
+      me = new ME()
+      me.id = 'a'
+      sent = []
+      me.send = function(message) {
+        sent.push(message)
+      }
+    })
+
+    it('should resolve with the reply', function() {
+      var promise = me.request('b', 'question', 42)
+      expect(sent[0].requestId).to.be.a('string')
+      me.dispatchMessage({
+        type: 'answer:question',
+        from: 'b',
+        to: 'a',
+        inReplyTo: sent[0].requestId
+      })
+      expect(me.requests.size).to.be.eq(0)
+      return promise.then(function(reply) {
+        expect(reply.type).to.be.eq('answer:question')
+      })
+    })
+
+    it('should be rejected after the timeout', function() {
+      var clock = sinon.useFakeTimers()
+      var promise = me.request('b', 'question', 42, { timeout: 100 })
+      clock.tick(100)
+      clock.restore()
+      return promise.then(function() {
+        throw new Error('Request should have failed')
+      }, function(error) {
+        expect(error.message).to.contain('timed out')
+        expect(error.reason).to.be.eq('timeout')
+      })
+    })
+
+    it('should be rejected when the remote peer disconnects', function() {
+      var promise = me.request('b', 'question', 42)
+      me.dispatchMessage({ type: 'disconnected', from: 'b', to: 'a' })
+      return promise.then(function() {
+        throw new Error('Request should have failed')
+      }, function(error) {
+        expect(error.message).to.contain('lost')
+        expect(error.reason).to.be.eq('connection-lost')
+        expect(me.requests.size).to.be.eq(0)
+      })
+    })
+
+    it('should be rejected when the peer is destroyed', function() {
+      var promise = me.request('b', 'question', 42)
+      me.dispatchMessage({ type: 'peer:destroyed', from: 'a', to: 'a' })
+      return promise.then(function() {
+        throw new Error('Request should have failed')
+      }, function(error) {
+        expect(error.reason).to.be.eq('destroyed')
+        expect(me.requests.size).to.be.eq(0)
+      })
+    })
   })
 })
@@ -3,6 +3,10 @@
 
 var Peer = require('../src/peer.js')
 var MessageEmitter = require('../src/messageEmitter.js')
+var SignalLocal = require('../src/signalLocal.js')
+var PeerConnection = require('../src/peerConnection.js')
+var datachannel = require('../src/datachannel.js')
+var MessageCache = require('../src/messageCache.js')
 var options = {
   signal: { url: 'ws://127.0.0.1'}
 }
@@ -12,6 +16,7 @@ window.paradone.Peer = Peer
 var newpeer = function(id) {
   var p = new Peer(options)
   p.id = id
+  p.connections.get('signal').close()
   p.connections.delete('signal')
   return p
 }
@@ -24,6 +29,31 @@ describe('Peer', function() {
       var peer = newpeer('a')
       expect(peer instanceof MessageEmitter).to.be.true
     })
+
+    it('should configure the ICE servers', function() {
+      var iceServers = [{ urls: 'turn:turn.example.org', username: 'u' }]
+      var peer = new Peer({
+        signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+        peer: { iceServers: iceServers, iceTransportPolicy: 'relay' }
+      })
+      expect(peer.rtcConfiguration.iceServers).to.be.deep.eq(iceServers)
+      expect(peer.rtcConfiguration.iceTransportPolicy).to.be.eq('relay')
+      expect(peer.rtcConfiguration.iceTransports).to.be.eq('relay')
+      // The default configuration is left untouched
+      expect(PeerConnection.defaultConfiguration.iceTransportPolicy)
+        .to.be.eq('all')
+      peer.destroy()
+    })
+
+    it('should not share the options of the channels', function() {
+      var peer = new Peer({
+        signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+        peer: { unorderedBulk: true }
+      })
+      expect(peer.channels.bulk.ordered).to.be.false
+      expect(datachannel.channels.bulk.ordered).to.be.true
+      peer.destroy()
+    })
   })
 
   /*
@@ -57,6 +87,41 @@ describe('Peer', function() {
     })
   })
 
+  describe('Local signaling', function() {
+    var hub, peerA, peerB
+
+    beforeEach(function() {
+      hub = new SignalLocal.MemoryHub()
+      peerA = new Peer({ signal: { type: 'memory', hub: hub } })
+    })
+
+    afterEach(function() {
+      peerA.destroy()
+      peerB.destroy()
+    })
+
+    it('should give an id and a view with the other members', function(done) {
+      peerB = new Peer({ signal: { type: 'memory', hub: hub } })
+      peerB.on('first-view', function(message) {
+        expect(peerB.id).to.be.eq(message.data.id)
+        expect(message.data.view).to.be.deep.eq([{ id: peerA.id, age: 0 }])
+        done()
+      })
+    })
+
+    it('should connect two peers with offer/answer/icecandidate', function(done) {
+      peerB = new Peer({ signal: { type: 'memory', hub: hub } })
+      peerB.on('first-view', function() {
+        peerB.requestPeer()
+      })
+      peerB.on('connected', function(message) {
+        expect(message.from).to.be.eq(peerA.id)
+        expect(peerB.connections.get(peerA.id).status).to.be.eq('open')
+        done()
+      })
+    })
+  })
+
   describe('Mesh structure', function() {
 
     describe('A sends messages on the mesh', function() {
@@ -310,4 +375,496 @@ describe('Peer', function() {
     })
   })
 
+  describe('Connection timeout', function() {
+
+    it('should forget connections which never open', function() {
+      var clock = sinon.useFakeTimers()
+      var peer = newpeer('a')
+      var failed = sinon.spy()
+      sinon.stub(peer, 'send')
+      peer.on('connection:failed', failed)
+      peer.dispatchMessage({
+        type: 'request-peer',
+        from: 'b',
+        to: -1,
+        ttl: 3,
+        forwardBy: []
+      })
+      expect(peer.connections.get('b').status).to.be.eq('connecting')
+
+      clock.tick(Peer.connectionTimeout + 1)
+      expect(peer.connections.has('b')).to.be.false
+      expect(failed.calledOnce).to.be.true
+      expect(failed.firstCall.args[0].data.reason).to.be.eq('timeout')
+      clock.restore()
+      peer.destroy()
+    })
+
+    it('should keep the connection timeout per instance', function() {
+      var other = new Peer({
+        signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+        peer: { connectionTimeout: 500 }
+      })
+      expect(other.connectionTimeout).to.be.eq(500)
+      expect(Peer.connectionTimeout).to.be.eq(10000)
+      other.destroy()
+    })
+  })
+
+  describe('#destroy', function() {
+
+    it('should close every connection and empty the queue', function() {
+      var peer = newpeer('1')
+      var connection = { close: sinon.spy() }
+      peer.connections.set('a', connection)
+      peer.send({
+        type: 'test',
+        from: peer.id,
+        to: 'b',
+        data: ''
+      })
+      peer.destroy()
+      expect(connection.close.calledOnce).to.be.true
+      expect(peer.connections.size).to.be.eq(0)
+      expect(peer.queue).to.be.empty
+    })
+
+    it('should dispatch a last peer:destroyed message', function() {
+      var peer = newpeer('1')
+      var destroyed = sinon.spy()
+      peer.on('peer:destroyed', destroyed)
+      peer.destroy()
+      expect(destroyed.calledOnce).to.be.true
+      expect(peer.listenerCount()).to.be.eq(0)
+    })
+
+    it('should stop processing the queue', function() {
+      var clock = sinon.useFakeTimers()
+      var peer = newpeer('1')
+      var callback = sinon.spy()
+      peer.send({
+        type: 'queuetest',
+        from: peer.id,
+        to: 'a',
+        data: ''
+      }, 0, callback)
+      peer.destroy()
+      clock.tick(Peer.queueTimeout * 2)
+      expect(callback.called).to.be.false
+      clock.restore()
+    })
+  })
+
+  describe('#use', function() {
+    var message = function() {
+      return {
+        type: 'test',
+        from: 'a',
+        to: '1',
+        data: 'hello'
+      }
+    }
+
+    it('should transform received messages', function() {
+      var peer = newpeer('1')
+      var listener = sinon.spy()
+      peer.on('test', listener)
+      peer.use({
+        inbound: function(msg, next) {
+          msg.data = msg.data.toUpperCase()
+          next(msg)
+        }
+      })
+      peer.receive(message())
+      expect(listener.calledOnce).to.be.true
+      expect(listener.firstCall.args[0].data).to.be.eq('HELLO')
+      peer.destroy()
+    })
+
+    it('should drop messages when next is not called', function() {
+      var peer = newpeer('1')
+      var listener = sinon.spy()
+      peer.on('test', listener)
+      peer.use({ inbound: function() {} })
+      peer.receive(message())
+      expect(listener.called).to.be.false
+      peer.destroy()
+    })
+
+    it('should apply middlewares in order', function() {
+      var peer = newpeer('1')
+      var order = []
+      peer.use({
+        outbound: function(msg, next) {
+          order.push(1)
+          next(msg)
+        }
+      }).use({
+        outbound: function(msg, next) {
+          order.push(2)
+          next(msg)
+        }
+      })
+      var connection = {
+        status: 'open',
+        send: sinon.spy(),
+        close: function() {}
+      }
+      peer.connections.set('b', connection)
+      peer.send({ type: 'test', from: '1', to: 'b', data: '' })
+      expect(order).to.be.deep.eq([1, 2])
+      expect(connection.send.calledOnce).to.be.true
+      peer.destroy()
+    })
+
+    it('should delay messages', function() {
+      var clock = sinon.useFakeTimers()
+      var peer = newpeer('1')
+      var connection = {
+        status: 'open',
+        send: sinon.spy(),
+        close: function() {}
+      }
+      peer.connections.set('b', connection)
+      peer.use({
+        outbound: function(msg, next) {
+          setTimeout(() => next(msg), 100)
+        }
+      })
+      peer.send({ type: 'test', from: '1', to: 'b', data: '' })
+      expect(connection.send.called).to.be.false
+      clock.tick(100)
+      expect(connection.send.calledOnce).to.be.true
+      peer.destroy()
+      clock.restore()
+    })
+
+    it('should not apply middlewares to forwarded messages', function() {
+      var peer = newpeer('1')
+      var inbound = sinon.spy()
+      var outbound = sinon.spy()
+      var connection = {
+        status: 'open',
+        send: sinon.spy(),
+        close: function() {}
+      }
+      peer.connections.set('c', connection)
+      peer.use({ inbound: inbound, outbound: outbound })
+      peer.forward({
+        type: 'test',
+        from: 'b',
+        to: 'c',
+        ttl: 2,
+        forwardBy: [],
+        data: ''
+      })
+      expect(inbound.called).to.be.false
+      expect(outbound.called).to.be.false
+      expect(connection.send.calledOnce).to.be.true
+      var forwarded = connection.send.firstCall.args[0]
+      expect(forwarded.ttl).to.be.eq(1)
+      expect(forwarded.forwardBy).to.be.deep.eq(['1'])
+      peer.destroy()
+    })
+
+    it('should deliver messages sent to itself only once', function() {
+      var peer = newpeer('1')
+      var listener = sinon.spy()
+      peer.on('test', listener)
+      peer.send({ type: 'test', from: '1', to: '1', data: '' })
+      expect(listener.calledOnce).to.be.true
+      expect(peer.queue).to.be.empty
+      peer.destroy()
+    })
+  })
+
+  describe('Message deduplication', function() {
+
+    it('should stamp sent messages with a unique id', function() {
+      var peer = newpeer('1')
+      var first = { type: 'test', from: '1', to: 'a', data: '' }
+      var second = { type: 'test', from: '1', to: 'a', data: '' }
+      peer.send(first)
+      peer.send(second)
+      expect(first.messageId).to.be.a('string')
+      expect(first.messageId).to.not.be.eq(second.messageId)
+      peer.destroy()
+    })
+
+    it('should stamp messages sent before the id is known', function() {
+      var peer = new Peer({
+        signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+        peer: { cacheSize: 10, cacheExpiry: 100 }
+      })
+      var other = newpeer('b')
+      peer.connections.set('b', { status: 'open', send: sinon.spy() })
+      other.connections.set('a', { status: 'open', send: sinon.spy() })
+      peer.send({ type: 'test', from: 'a', to: 'b', data: '' })
+      other.send({ type: 'test', from: 'b', to: 'a', data: '' })
+
+      var first = peer.connections.get('b').send.firstCall.args[0]
+      var second = other.connections.get('a').send.firstCall.args[0]
+      expect(first.messageId).to.not.contain('undefined')
+      expect(first.messageId).to.not.be.eq(second.messageId)
+      expect(peer.seenMessages.maxSize).to.be.eq(10)
+      expect(peer.seenMessages.maxAge).to.be.eq(100)
+      expect(other.seenMessages.maxSize).to.be.eq(MessageCache.maxSize)
+      peer.connections.delete('b')
+      other.connections.delete('a')
+      peer.destroy()
+      other.destroy()
+    })
+
+    it('should count the duplicates of received messages', function() {
+      var peer = newpeer('1')
+      var message = {
+        type: 'request-peer',
+        from: 'a',
+        to: -1,
+        ttl: 3,
+        forwardBy: [],
+        messageId: 'a:1'
+      }
+      expect(peer.isDuplicate(message)).to.be.false
+      expect(peer.isDuplicate(message)).to.be.true
+      expect(peer.stats.duplicates).to.be.eq(1)
+      expect(peer.stats.duplicatesByType['request-peer']).to.be.eq(1)
+      peer.destroy()
+    })
+
+    it('should ignore copies of its own messages', function() {
+      var peer = newpeer('1')
+      var message = { type: 'test', from: '1', to: 'a', data: '' }
+      peer.send(message)
+      expect(peer.isDuplicate(message)).to.be.true
+      peer.destroy()
+    })
+
+    it('should not remember direct messages', function() {
+      var peer = newpeer('1')
+      peer.connections.set('a', { status: 'open', send: sinon.spy() })
+      var received = {
+        type: 'test',
+        from: 'a',
+        to: '1',
+        ttl: 3,
+        forwardBy: [],
+        messageId: 'a:1'
+      }
+      expect(peer.isDuplicate(received)).to.be.false
+      expect(peer.isDuplicate(received)).to.be.false
+      expect(peer.stats.duplicates).to.be.eq(0)
+
+      peer.send({ type: 'test', from: '1', to: 'a', data: '' })
+      expect(peer.seenMessages.entries.size).to.be.eq(0)
+      peer.connections.delete('a')
+      peer.destroy()
+    })
+
+    it('should remember relayed messages', function() {
+      var peer = newpeer('1')
+      var message = {
+        type: 'test',
+        from: 'a',
+        to: '1',
+        ttl: 2,
+        forwardBy: ['b'],
+        messageId: 'a:1'
+      }
+      expect(peer.isDuplicate(message)).to.be.false
+      expect(peer.isDuplicate(message)).to.be.true
+      peer.destroy()
+    })
+  })
+
+  describe('Connection limit', function() {
+    var peer
+
+    var connection = function(properties) {
+      var result = {
+        status: 'open',
+        createdAt: 0,
+        lastActivity: 0,
+        bytesReceived: 0,
+        send: function() {},
+        close: sinon.spy()
+      }
+      Object.keys(properties).forEach(function(key) {
+        result[key] = properties[key]
+      })
+      return result
+    }
+
+    beforeEach(function() {
+      peer = newpeer('1')
+      peer.maxConnections = 2
+      peer.idleTimeout = 0
+      sinon.stub(peer, 'send')
+    })
+
+    afterEach(function() {
+      peer.send.restore()
+      peer.destroy()
+    })
+
+    it('should refuse requests when no connection is idle', function() {
+      peer.idleTimeout = Infinity
+      peer.connections.set('a', connection({}))
+      peer.connections.set('b', connection({}))
+      peer.dispatchMessage({
+        type: 'request-peer',
+        from: 'c',
+        to: '1',
+        ttl: 3,
+        forwardBy: []
+      })
+      expect(peer.connections.has('c')).to.be.false
+      expect(peer.send.calledOnce).to.be.true
+      expect(peer.send.firstCall.args[0].type).to.be.eq('request-peer:reject')
+    })
+
+    var request = {
+      type: 'request-peer',
+      from: 'c',
+      to: '1',
+      ttl: 3,
+      forwardBy: []
+    }
+
+    it('should evict the least recently used connection', function() {
+      var a = connection({ lastActivity: 10 })
+      var b = connection({ lastActivity: 5 })
+      peer.connections.set('a', a)
+      peer.connections.set('b', b)
+      peer.dispatchMessage(request)
+      expect(b.close.calledOnce).to.be.true
+      expect(peer.connections.has('b')).to.be.false
+      expect(peer.connections.has('a')).to.be.true
+    })
+
+    it('should evict the connection with the lowest contribution', function() {
+      peer.evictionPolicy = 'contribution'
+      var a = connection({ bytesReceived: 10, lastActivity: 5 })
+      var b = connection({ bytesReceived: 500, lastActivity: 1 })
+      peer.connections.set('a', a)
+      peer.connections.set('b', b)
+      peer.dispatchMessage(request)
+      expect(a.close.calledOnce).to.be.true
+      expect(peer.connections.has('b')).to.be.true
+    })
+
+    it('should not evict before a connection is accepted', function() {
+      var a = connection({ lastActivity: 10 })
+      var b = connection({ lastActivity: 5 })
+      peer.connections.set('a', a)
+      peer.connections.set('b', b)
+      peer.requestPeer('c')
+      expect(peer.send.firstCall.args[0].type).to.be.eq('request-peer')
+      expect(a.close.called).to.be.false
+      expect(b.close.called).to.be.false
+      expect(peer.connections.size).to.be.eq(2)
+    })
+
+    it('should keep the options per instance', function() {
+      var other = new Peer({
+        signal: { type: 'memory', hub: new SignalLocal.MemoryHub() },
+        peer: { maxConnections: 4, evictionPolicy: 'oldest', idleTimeout: 5 }
+      })
+      expect(other.maxConnections).to.be.eq(4)
+      expect(other.evictionPolicy).to.be.eq('oldest')
+      expect(other.idleTimeout).to.be.eq(5)
+      expect(Peer.maxConnections).to.be.eq(Infinity)
+      expect(Peer.evictionPolicy).to.be.eq('lru')
+      expect(Peer.idleTimeout).to.be.eq(30000)
+      other.destroy()
+    })
+
+    it('should not request a peer when there is no room', function() {
+      peer.idleTimeout = Infinity
+      peer.connections.set('a', connection({}))
+      peer.connections.set('b', connection({}))
+      peer.requestPeer('c')
+      expect(peer.send.called).to.be.false
+    })
+  })
+
+  describe('Glare', function() {
+
+    it('should keep a single connection when both peers request', function(done) {
+      var peers = {}
+      var peerA = peers.A = newpeer('A')
+      var peerB = peers.B = newpeer('B')
+      var connected = 0
+
+      // Deliver the messages asynchronously so both requests cross
+      var deliver = function(message) {
+        setTimeout(function() {
+          peers[message.to].dispatchMessage(message)
+        }, 0)
+      }
+      sinon.stub(peerA, 'send', deliver)
+      sinon.stub(peerB, 'send', deliver)
+
+      var onconnected = function() {
+        connected += 1
+        if(connected === 2) {
+          var a = peerA.connections.get('B')
+          var b = peerB.connections.get('A')
+          expect(a.status).to.be.eq('open')
+          expect(b.status).to.be.eq('open')
+          // The offer of the impolite peer (lowest id) was kept
+          expect(a.initiator).to.be.true
+          expect(b.initiator).to.be.false
+          done()
+        }
+      }
+      peerA.on('connected', onconnected)
+      peerB.on('connected', onconnected)
+
+      peerA.requestPeer('B')
+      peerB.requestPeer('A')
+    })
+
+    it('should ignore the remote offer when impolite', function() {
+      var peer = newpeer('A')
+      var connection = {
+        status: 'connecting',
+        initiator: true,
+        close: sinon.spy()
+      }
+      peer.connections.set('B', connection)
+      peer.dispatchMessage({
+        type: 'offer',
+        from: 'B',
+        to: 'A',
+        ttl: 3,
+        forwardBy: [],
+        data: {}
+      })
+      expect(peer.connections.get('B')).to.be.eq(connection)
+      expect(connection.close.called).to.be.false
+      peer.destroy()
+    })
+
+    it('should close the connection replaced by a new offer', function() {
+      var peer = newpeer('A')
+      var connection = {
+        status: 'connecting',
+        initiator: false,
+        close: sinon.spy()
+      }
+      peer.connections.set('B', connection)
+      peer.dispatchMessage({
+        type: 'offer',
+        from: 'B',
+        to: 'A',
+        ttl: 3,
+        forwardBy: [],
+        data: {}
+      })
+      expect(connection.close.calledOnce).to.be.true
+      expect(peer.connections.get('B')).to.not.be.eq(connection)
+      peer.destroy()
+    })
+  })
 })
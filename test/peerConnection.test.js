@@ -0,0 +1,138 @@
+'use strict'
+
+var PeerConnection = require('../src/peerConnection.js')
+var datachannel = require('../src/datachannel.js')
+
+describe('PeerConnection', function() {
+  var connections
+
+  var fakePeer = function(id, credentialProvider) {
+    return {
+      id: id,
+      rtcConfiguration: PeerConnection.defaultConfiguration,
+      channels: datachannel.channels,
+      credentialProvider: credentialProvider,
+      connectionTimeout: 5000,
+      dispatchMessage: sinon.spy(),
+      receive: sinon.spy()
+    }
+  }
+
+  var create = function(peer, remote) {
+    var pc = new PeerConnection(peer, remote)
+    connections.push(pc)
+    return pc
+  }
+
+  beforeEach(function() {
+    connections = []
+  })
+
+  afterEach(function() {
+    connections.forEach(pc => pc.close())
+  })
+
+  describe('credential provider', function() {
+    it('should add the provided ICE servers before the offer', function() {
+      var turn = {
+        urls: 'turn:turn.example.org',
+        username: 'u',
+        credential: 'c'
+      }
+      var provider = sinon.stub().returns(Promise.resolve([turn]))
+      var pc = create(fakePeer('A', provider), 'B')
+      sinon.spy(pc, 'setConfiguration')
+      pc.createChannels()
+
+      return pc.createSDPOffer().then(() => {
+        expect(provider.calledWith('B')).to.be.true
+        var iceServers = pc.setConfiguration.args[0][0].iceServers
+        expect(iceServers[iceServers.length - 1]).to.be.deep.eq(turn)
+      })
+    })
+
+    it('should report a failing provider', function() {
+      var provider = sinon.stub().returns(Promise.reject(new Error('nope')))
+      var peer = fakePeer('A', provider)
+      var pc = create(peer, 'B')
+
+      return pc.createSDPOffer().then(() => {
+        throw new Error('The offer should have failed')
+      }, () => {
+        var message = peer.dispatchMessage.args[0][0]
+        expect(message.type).to.be.eq('connection:error')
+        expect(message.data.phase).to.be.eq('credentials')
+      })
+    })
+  })
+
+  describe('#addRemoteCandidate', function() {
+    it('should queue candidates until the remote description is set', function() {
+      // The ICE servers of the answering side come from a slow provider
+      var slow = () => new Promise(resolve => setTimeout(() => resolve([]), 50))
+      var offerer = create(fakePeer('A'), 'B')
+      var answerer = create(fakePeer('B', slow), 'A')
+      var candidate = { candidate: 'candidate:1', sdpMid: '0' }
+      sinon.stub(answerer, 'addIceCandidate').returns(Promise.resolve())
+      offerer.createChannels()
+
+      return offerer.createSDPOffer().then(offer => {
+        var answer = answerer.createSDPAnswer(offer)
+        answerer.addRemoteCandidate(candidate)
+        expect(answerer.addIceCandidate.called).to.be.false
+        expect(answerer.pendingCandidates).to.be.deep.eq([candidate])
+        return answer
+      }).then(() => {
+        expect(answerer.addIceCandidate.calledWith(candidate)).to.be.true
+        expect(answerer.pendingCandidates).to.be.deep.eq([])
+      })
+    })
+
+    it('should drop the candidates of another negotiation', function() {
+      var offerer = create(fakePeer('A'), 'B')
+      var answerer = create(fakePeer('B'), 'A')
+      sinon.stub(answerer, 'addIceCandidate').returns(Promise.resolve())
+      offerer.createChannels()
+
+      return offerer.createSDPOffer().then(offer => {
+        var ufrag = /a=ice-ufrag:(\S+)/.exec(offer.sdp)[1]
+        var current = { candidate: 'candidate:1', usernameFragment: ufrag }
+        var abandoned = { candidate: 'candidate:2', usernameFragment: 'old' }
+        answerer.addRemoteCandidate(abandoned)
+        answerer.addRemoteCandidate(current)
+        return answerer.createSDPAnswer(offer).then(() => {
+          expect(answerer.addIceCandidate.calledOnce).to.be.true
+          expect(answerer.addIceCandidate.calledWith(current)).to.be.true
+        })
+      })
+    })
+  })
+
+  describe('#ondatachannel', function() {
+    var channel = function(label) {
+      return { label: label, readyState: 'connecting', close: sinon.spy() }
+    }
+
+    it('should store the channels by label', function() {
+      var pc = create(fakePeer('A'), 'B')
+      pc.ondatachannel({ channel: channel('bulk') })
+      expect(pc.channels.bulk.label).to.be.eq('bulk')
+    })
+
+    it('should use an unknown channel as control channel', function() {
+      var peer = fakePeer('A')
+      var pc = create(peer, 'B')
+      var legacy = channel('B-A')
+      pc.ondatachannel({ channel: legacy })
+      expect(pc.channels.control.label).to.be.eq('B-A')
+      expect(pc.channels['B-A']).to.be.undefined
+
+      // The connection opens without a bulk channel
+      legacy.readyState = 'open'
+      legacy.onopen({ target: legacy })
+      expect(pc.status).to.be.eq('open')
+      expect(peer.dispatchMessage.calledWithMatch({ type: 'connected' }))
+        .to.be.true
+    })
+  })
+})
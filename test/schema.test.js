@@ -0,0 +1,65 @@
+'use strict'
+
+var schema = require('../src/schema.js')
+
+describe('schema', function() {
+  var message = function() {
+    return {
+      type: 'test:schema',
+      from: 'a',
+      to: 'b',
+      count: 3
+    }
+  }
+
+  before(function() {
+    schema.register('test:schema', {
+      count: 'number',
+      tags: 'array?'
+    })
+  })
+
+  describe('#validate', function() {
+    it('should accept a message following the schema', function() {
+      expect(schema.validate(message())).to.be.empty
+    })
+
+    it('should require the base fields', function() {
+      var msg = message()
+      delete msg.from
+      expect(schema.validate(msg)).to.be.deep.eq(['Message#from is missing'])
+    })
+
+    it('should check the type of the fields', function() {
+      var msg = message()
+      msg.count = '3'
+      msg.tags = 'one'
+      expect(schema.validate(msg)).to.have.length(2)
+    })
+
+    it('should only check the base schema of unknown types', function() {
+      expect(schema.isValid({ type: 'unknown', from: 'a', to: -1 }))
+        .to.be.true
+    })
+
+    it('should require ttl and forwardBy for connection messages', function() {
+      expect(schema.isValid({ type: 'offer', from: 'a', to: 'b' }))
+        .to.be.false
+      expect(schema.isValid({
+        type: 'offer', from: 'a', to: 'b', ttl: 3, forwardBy: []
+      })).to.be.true
+    })
+  })
+
+  describe('#register', function() {
+    it('should merge the fields of an existing schema', function() {
+      schema.register('test:schema', { name: 'string?' })
+      expect(schema.get('test:schema')).to.include.keys('count', 'name')
+    })
+
+    it('should reject unknown field types', function() {
+      expect(() => schema.register('test:wrong', { field: 'integer' }))
+        .to.throw(Error)
+    })
+  })
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+var http = require('http')
+var expect = require('chai').expect
+var WebSocket = require('ws')
+var Tracker = require('../../server/tracker.js')
+
+describe('Tracker', function() {
+  var server
+  var tracker
+  var clients
+
+  /**
+   * Opens a socket to the tracker. Resolves with the client once the first
+   * view has been received.
+   */
+  var connect = function(room) {
+    var port = server.address().port
+    var socket = new WebSocket('ws://localhost:' + port + '/?room=' + room)
+    var client = { socket: socket, messages: [], waiting: [] }
+    clients.push(client)
+
+    socket.on('message', function(data) {
+      var message = JSON.parse(data)
+      if(client.waiting.length > 0) {
+        client.waiting.shift()(message)
+      } else {
+        client.messages.push(message)
+      }
+    })
+
+    return next(client).then(function(firstView) {
+      client.id = firstView.data.id
+      client.firstView = firstView
+      return client
+    })
+  }
+
+  // Resolves with the next message received by the client
+  var next = function(client) {
+    return new Promise(function(resolve) {
+      if(client.messages.length > 0) {
+        resolve(client.messages.shift())
+      } else {
+        client.waiting.push(resolve)
+      }
+    })
+  }
+
+  var send = function(client, message) {
+    client.socket.send(JSON.stringify(message))
+  }
+
+  beforeEach(function(done) {
+    clients = []
+    server = http.createServer()
+    tracker = new Tracker({ server: server })
+    server.listen(0, done)
+  })
+
+  afterEach(function(done) {
+    clients.forEach(function(client) {
+      client.socket.close()
+    })
+    tracker.close(function() {
+      server.close(function() {
+        done()
+      })
+    })
+  })
+
+  describe('first-view', function() {
+    it('should give an id and the peers of the room', function() {
+      return connect('video').then(function(a) {
+        expect(a.firstView.to).to.be.eq(a.id)
+        expect(a.firstView.data.view).to.be.deep.eq([])
+        return connect('video').then(function(b) {
+          expect(b.id).to.not.be.eq(a.id)
+          expect(b.firstView.data.view).to.be.deep.eq([{ id: a.id, age: 0 }])
+        })
+      })
+    })
+
+    it('should not mix the rooms', function() {
+      return connect('video').then(function() {
+        return connect('other')
+      }).then(function(b) {
+        expect(b.firstView.data.view).to.be.deep.eq([])
+      })
+    })
+  })
+
+  describe('relay', function() {
+    var a
+    var b
+
+    beforeEach(function() {
+      return connect('video').then(function(client) {
+        a = client
+        return connect('video')
+      }).then(function(client) {
+        b = client
+      })
+    })
+
+    it('should keep the origin of relayed messages', function() {
+      send(a, { type: 'offer', from: 'origin', to: b.id, data: 'sdp' })
+      return next(b).then(function(message) {
+        expect(message.type).to.be.eq('offer')
+        expect(message.from).to.be.eq('origin')
+        expect(message.data).to.be.eq('sdp')
+      })
+    })
+
+    it('should set the sender of anonymous messages', function() {
+      send(a, { type: 'request-peer', to: b.id })
+      return next(b).then(function(message) {
+        expect(message.from).to.be.eq(a.id)
+      })
+    })
+
+    it('should broadcast messages sent to -1', function() {
+      return connect('video').then(function(c) {
+        send(a, { type: 'request-peer', from: a.id, to: -1 })
+        return Promise.all([next(b), next(c)])
+      }).then(function(messages) {
+        expect(messages[0].from).to.be.eq(a.id)
+        expect(messages[1].from).to.be.eq(a.id)
+        expect(a.messages).to.be.deep.eq([])
+      })
+    })
+
+    it('should answer pings', function() {
+      send(a, { type: 'signal:ping', from: a.id, to: 'signal' })
+      return next(a).then(function(message) {
+        expect(message).to.be.deep.eq({
+          type: 'signal:pong',
+          from: 'signal',
+          to: a.id
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,139 @@
+'use strict'
+
+var Signal = require('../src/signal.js')
+
+describe('Signal', function() {
+  var RealWebSocket = window.WebSocket
+  var sockets
+  var clock
+  var peer
+  var signal
+
+  function FakeSocket(url) {
+    this.url = url
+    this.sent = []
+    this.listeners = {}
+    sockets.push(this)
+  }
+
+  FakeSocket.prototype.addEventListener = function(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener)
+  }
+
+  FakeSocket.prototype.emit = function(type, event) {
+    (this.listeners[type] || []).forEach(listener => listener(event || {}))
+  }
+
+  FakeSocket.prototype.send = function(data) {
+    this.sent.push(JSON.parse(data))
+  }
+
+  FakeSocket.prototype.close = function() {
+    this.emit('close', { code: 1000 })
+  }
+
+  var message = function(n) {
+    return { type: 'test', from: '1', to: '2', data: n }
+  }
+
+  beforeEach(function() {
+    sockets = []
+    window.WebSocket = FakeSocket
+    clock = sinon.useFakeTimers()
+    sinon.stub(Math, 'random').returns(1)
+    peer = {
+      id: '1',
+      dispatchMessage: sinon.spy(),
+      receive: sinon.spy()
+    }
+  })
+
+  afterEach(function() {
+    signal.close()
+    Math.random.restore()
+    clock.restore()
+    window.WebSocket = RealWebSocket
+  })
+
+  it('should buffer the messages until the socket is open', function() {
+    signal = new Signal(peer, { url: 'ws://signal' })
+    signal.send(message(1))
+    expect(sockets[0].sent).to.be.deep.eq([])
+
+    sockets[0].emit('open')
+    expect(sockets[0].sent.map(m => m.data)).to.be.deep.eq([1])
+  })
+
+  it('should drop the oldest buffered messages', function() {
+    signal = new Signal(peer, { url: 'ws://signal', maxBuffer: 2 })
+    signal.send(message(1))
+    signal.send(message(2))
+    signal.send(message(3))
+    sockets[0].emit('open')
+    expect(sockets[0].sent.map(m => m.data)).to.be.deep.eq([2, 3])
+  })
+
+  it('should reconnect with an exponential backoff', function() {
+    signal = new Signal(peer, { url: 'ws://signal', reconnectDelay: 100 })
+    sockets[0].emit('open')
+    sockets[0].close()
+
+    clock.tick(99)
+    expect(sockets.length).to.be.eq(1)
+    clock.tick(1)
+    expect(sockets.length).to.be.eq(2)
+
+    // The second attempt fails, the delay doubles
+    sockets[1].close()
+    clock.tick(199)
+    expect(sockets.length).to.be.eq(2)
+    clock.tick(1)
+    expect(sockets.length).to.be.eq(3)
+
+    sockets[2].emit('open')
+    expect(signal.attempts).to.be.eq(0)
+    var types = peer.dispatchMessage.args.map(args => args[0].type)
+    expect(types).to.be.deep.eq([
+      'signal:open',
+      'signal:close',
+      'signal:reconnecting',
+      'signal:reconnecting',
+      'signal:open'
+    ])
+  })
+
+  it('should not send heartbeats by default', function() {
+    signal = new Signal(peer, { url: 'ws://signal' })
+    sockets[0].emit('open')
+    clock.tick(60000)
+    expect(sockets[0].sent).to.be.deep.eq([])
+    expect(signal.status).to.be.eq('open')
+  })
+
+  it('should not close the socket of a server ignoring pings', function() {
+    signal = new Signal(peer, { url: 'ws://signal', heartbeatInterval: 1000 })
+    sockets[0].emit('open')
+    clock.tick(5000)
+    expect(sockets[0].sent.length).to.be.eq(5)
+    expect(sockets[0].sent[0].type).to.be.eq('signal:ping')
+    expect(signal.status).to.be.eq('open')
+  })
+
+  it('should close the socket once an answering server is silent', function() {
+    signal = new Signal(peer, { url: 'ws://signal', heartbeatInterval: 1000 })
+    sockets[0].emit('open')
+    sockets[0].emit('message', { data: JSON.stringify({
+      type: 'signal:pong',
+      from: 'signal',
+      to: '1'
+    }) })
+    expect(peer.receive.called).to.be.false
+
+    clock.tick(2000)
+    expect(signal.status).to.be.eq('open')
+    clock.tick(1000)
+    expect(signal.status).to.be.eq('close')
+    clock.tick(Signal.reconnectDelay)
+    expect(sockets.length).to.be.eq(2)
+  })
+})
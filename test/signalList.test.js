@@ -0,0 +1,128 @@
+'use strict'
+
+var signals = require('../src/signalList.js')
+var SignalLocal = require('../src/signalLocal.js')
+var SignalHttp = require('../src/signalHttp.js')
+
+describe('Signals', function() {
+  var peer = {
+    id: '1',
+    receive: function() {},
+    dispatchMessage: function() {}
+  }
+
+  function Custom(peer, options) {
+    this.peer = peer
+    this.options = options
+    this.status = 'open'
+  }
+
+  describe('#create', function() {
+    it('should throw without options', function() {
+      expect(() => signals.create(peer))
+        .to.throw('Signal\'s options argument malformed')
+    })
+
+    it('should throw with an unknown type', function() {
+      expect(() => signals.create(peer, { type: 'nope' }))
+        .to.throw('Unknown signal type: nope')
+    })
+
+    it('should not register the Firebase transport', function() {
+      expect(() => signals.create(peer, { type: 'firebase' }))
+        .to.throw('Unknown signal type: firebase')
+    })
+
+    it('should create a registered transport', function() {
+      var hub = new SignalLocal.MemoryHub()
+      var signal = signals.create(peer, { type: 'memory', hub: hub })
+      expect(signal).to.be.an.instanceof(SignalLocal)
+      signal.close()
+    })
+
+    it('should accept a constructor as type', function() {
+      var options = { type: Custom, url: 'custom://signal' }
+      var signal = signals.create(peer, options)
+      expect(signal).to.be.an.instanceof(Custom)
+      expect(signal.peer).to.be.eq(peer)
+      expect(signal.options).to.be.eq(options)
+    })
+  })
+
+  describe('#register', function() {
+    it('should make a transport available by name', function() {
+      signals.register('custom', Custom)
+      expect(signals.create(peer, { type: 'custom' })).to.be.an.instanceof(Custom)
+    })
+  })
+
+  describe('SignalHttp', function() {
+    var xhr
+    var requests
+    var clock
+    var signal
+
+    // Lets the promise of the answered request settle
+    var settle = function() {
+      return Promise.resolve()
+    }
+
+    beforeEach(function() {
+      requests = []
+      xhr = sinon.useFakeXMLHttpRequest()
+      xhr.onCreate = request => requests.push(request)
+      clock = sinon.useFakeTimers()
+    })
+
+    afterEach(function() {
+      signal.close()
+      clock.restore()
+      xhr.restore()
+    })
+
+    it('should wait before polling again', function() {
+      signal = new SignalHttp(peer, { url: '/signal', pollDelay: 100 })
+      requests[0].respond(200, {}, '[]')
+
+      return settle().then(() => {
+        clock.tick(99)
+        expect(requests.length).to.be.eq(1)
+        clock.tick(1)
+        expect(requests.length).to.be.eq(2)
+      })
+    })
+
+    it('should back off after consecutive errors', function() {
+      signal = new SignalHttp(peer, { url: '/signal', retryDelay: 100 })
+      requests[0].respond(500, {}, '')
+
+      return settle().then(() => {
+        clock.tick(100)
+        expect(requests.length).to.be.eq(2)
+        requests[1].respond(500, {}, '')
+        return settle()
+      }).then(() => {
+        clock.tick(199)
+        expect(requests.length).to.be.eq(2)
+        clock.tick(1)
+        expect(requests.length).to.be.eq(3)
+        expect(signal.failures).to.be.eq(2)
+      })
+    })
+
+    it('should keep polling after a malformed answer', function() {
+      signal = new SignalHttp(peer, { url: '/signal', retryDelay: 100 })
+      sinon.stub(console, 'error')
+      requests[0].respond(200, {}, '[{')
+
+      return settle().then(settle).then(() => {
+        console.error.restore()
+        clock.tick(99)
+        expect(requests.length).to.be.eq(1)
+        clock.tick(1)
+        expect(requests.length).to.be.eq(2)
+        expect(signal.failures).to.be.eq(1)
+      })
+    })
+  })
+})